@@ -0,0 +1,293 @@
+// 抓屏后端：把“怎么抓屏”从录制会话中分离出来，每个平台/抓屏方式一个后端。
+// 录制会话只调用当前后端的以下方法，不再关心平台差异：
+//   screenArgs({ fps, region, frame, drawMouse, displayIndex, showRegion }) -> FFmpeg 输入参数
+//   screenFilter(region, displayOrigin)   -> 需要的前置滤镜（拷回内存、裁剪选区），没有则为 null
+//   windowArgs({ fps, source, drawMouse }) -> 录制指定窗口的输入参数，不支持时抛出错误
+// region 为物理像素坐标，省略时录制整个屏幕；frame 为画面尺寸（测试后端用来决定画面大小）；
+// displayOrigin 为所录显示器左上角的物理像素坐标（只抓单个显示器的后端用来把选区换算成显示器内坐标）。
+// 可用环境变量 GIF_CAPTURE_BACKEND 强制指定后端，其中 test 使用 FFmpeg 的 testsrc 生成画面，
+// 不需要真实屏幕，便于在无显示器的环境中跑通录制、转换流程
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+
+let ffmpegPath = 'ffmpeg';
+// 当前后端（检测结果会缓存）
+let activeBackend = null;
+// FFmpeg 组件的帮助信息（-h demuxer=xxx / filter=xxx），用于检测当前构建是否带某个设备或选项
+const ffmpegHelpCache = new Map();
+
+function setFFmpegPath(nextPath) {
+  ffmpegPath = nextPath;
+  ffmpegHelpCache.clear();
+  activeBackend = null;
+}
+
+function ffmpegHelpText(topic) {
+  if (!ffmpegHelpCache.has(topic)) {
+    let text = '';
+    try {
+      const result = spawnSync(ffmpegPath, ['-hide_banner', '-h', topic], { stdio: 'pipe', timeout: 5000 });
+      text = String(result.stdout || '') + String(result.stderr || '');
+    } catch (e) {
+      console.error('读取 FFmpeg 帮助信息失败:', e && e.message ? e.message : e);
+    }
+    ffmpegHelpCache.set(topic, text);
+  }
+  return ffmpegHelpCache.get(topic);
+}
+
+function ffmpegHasComponent(kind, name) {
+  const text = ffmpegHelpText(`${kind}=${name}`);
+  return text.includes(name) && !/Unknown/i.test(text);
+}
+
+// 选区裁剪滤镜，供不支持按坐标抓取的后端使用
+function cropFilter(region) {
+  return region ? `crop=${region.width}:${region.height}:${region.x}:${region.y}` : null;
+}
+
+// Windows: gdigrab
+const gdigrabBackend = {
+  name: 'gdigrab',
+  label: 'GDI (gdigrab)',
+  detect() {
+    return { available: true };
+  },
+  screenArgs(info, { fps, region, drawMouse, showRegion }) {
+    const recordArgs = ['-f', 'gdigrab'];
+    if (region) {
+      recordArgs.push('-offset_x', region.x.toString());
+      recordArgs.push('-offset_y', region.y.toString());
+      recordArgs.push('-video_size', `${region.width}x${region.height}`);
+      // 在屏幕上标出录制范围（输入选项，必须放在 -i 之前）
+      if (showRegion) recordArgs.push('-show_region', '1');
+    }
+    recordArgs.push('-framerate', fps.toString());
+    recordArgs.push('-draw_mouse', drawMouse);
+    recordArgs.push('-i', 'desktop');
+    return recordArgs;
+  },
+  // 按窗口标题录制，画面跟随窗口移动
+  windowArgs(info, { fps, source, drawMouse }) {
+    if (!source.name) throw new Error('窗口没有标题，无法录制');
+    return ['-f', 'gdigrab', '-framerate', fps.toString(), '-draw_mouse', drawMouse, '-i', `title=${source.name}`];
+  }
+};
+
+// macOS: avfoundation。主显示器沿用 1:0，其余按序号使用 “Capture screen N”
+const avfoundationBackend = {
+  name: 'avfoundation',
+  label: 'AVFoundation',
+  detect() {
+    return { available: true };
+  },
+  // avfoundation 总是抓取整个屏幕，没有偏移参数，选区由 screenFilter 裁剪
+  screenArgs(info, { fps, drawMouse, displayIndex = 0 }) {
+    const recordArgs = ['-f', 'avfoundation', '-framerate', fps.toString()];
+    recordArgs.push('-capture_cursor', drawMouse);
+    recordArgs.push('-i', displayIndex > 0 ? `Capture screen ${displayIndex}:0` : '1:0');
+    return recordArgs;
+  },
+  screenFilter(info, region, displayOrigin) {
+    if (!region) return null;
+    const origin = displayOrigin || { x: 0, y: 0 };
+    return cropFilter({ ...region, x: region.x - origin.x, y: region.y - origin.y });
+  },
+  windowUnsupported: 'macOS 暂不支持录制指定窗口，请使用区域录制'
+};
+
+// Linux/X11: x11grab，连接 $DISPLAY
+const x11Backend = {
+  name: 'x11',
+  label: 'X11 (x11grab)',
+  detect() {
+    const display = process.env.DISPLAY;
+    if (!display) {
+      return { available: false, reason: '未设置 DISPLAY 环境变量，无法连接 X11' };
+    }
+    if (!ffmpegHasComponent('demuxer', 'x11grab')) {
+      return { available: false, reason: '当前 FFmpeg 未包含 x11grab' };
+    }
+    return { available: true, label: `X11 (x11grab, ${display})`, display };
+  },
+  screenArgs(info, { fps, region, drawMouse }) {
+    const recordArgs = ['-f', 'x11grab', '-framerate', fps.toString(), '-draw_mouse', drawMouse];
+    if (region) {
+      recordArgs.push('-video_size', `${region.width}x${region.height}`);
+      recordArgs.push('-i', `${info.display}+${region.x},${region.y}`);
+    } else {
+      recordArgs.push('-i', info.display);
+    }
+    return recordArgs;
+  },
+  // 按窗口 id 录制，画面跟随窗口移动；FFmpeg 5.1 起 x11grab 才支持 window_id
+  windowArgs(info, { fps, source, drawMouse }) {
+    const match = /^window:(\d+):/.exec(String(source.id || ''));
+    if (!match) throw new Error('无法识别所选窗口');
+    if (!ffmpegHelpText('demuxer=x11grab').includes('window_id')) {
+      throw new Error('当前 FFmpeg 不支持录制指定窗口（需要 5.1 及以上版本的 x11grab）');
+    }
+    return ['-f', 'x11grab', '-framerate', fps.toString(), '-draw_mouse', drawMouse, '-window_id', match[1], '-i', info.display];
+  }
+};
+
+// Linux/Wayland: FFmpeg 的 pipewiregrab 源，由 xdg-desktop-portal 弹窗授权
+const pipewireBackend = {
+  name: 'pipewire',
+  label: 'PipeWire (pipewiregrab)',
+  detect() {
+    if (!ffmpegHasComponent('filter', 'pipewiregrab')) {
+      return { available: false, reason: '当前 FFmpeg 未包含 pipewiregrab' };
+    }
+    if (!process.env.DBUS_SESSION_BUS_ADDRESS) {
+      return { available: false, reason: '没有 D-Bus 会话，无法调用 xdg-desktop-portal' };
+    }
+    return { available: true };
+  },
+  screenArgs(info, { fps }) {
+    return ['-f', 'lavfi', '-i', `pipewiregrab=framerate=${fps}`];
+  },
+  screenFilter(info, region) {
+    return cropFilter(region);
+  },
+  windowUnsupported: 'Wayland 会话暂不支持录制指定窗口，请使用区域录制'
+};
+
+// Linux/Wayland: kmsgrab，直接读取显卡主图层，需要 CAP_SYS_ADMIN，不含鼠标指针
+const kmsgrabBackend = {
+  name: 'kmsgrab',
+  label: 'KMS (kmsgrab)',
+  detect() {
+    if (!ffmpegHasComponent('demuxer', 'kmsgrab')) {
+      return { available: false, reason: '当前 FFmpeg 未包含 kmsgrab' };
+    }
+    let device = null;
+    try {
+      const cards = fs.readdirSync('/dev/dri').filter(f => /^card\d+$/.test(f)).sort();
+      if (cards.length > 0) device = `/dev/dri/${cards[0]}`;
+    } catch (_) {}
+    if (!device) {
+      return { available: false, reason: '未找到 /dev/dri/card* 显卡设备' };
+    }
+    // 试抓一帧，确认权限
+    const probe = spawnSync(ffmpegPath, ['-hide_banner', '-device', device, '-f', 'kmsgrab', '-i', '-', '-frames:v', '1', '-f', 'null', '-'], {
+      stdio: 'pipe',
+      timeout: 5000
+    });
+    if (probe.status !== 0) {
+      const stderr = String(probe.stderr || '');
+      const reason = /permit|permission/i.test(stderr)
+        ? `kmsgrab 需要 CAP_SYS_ADMIN 权限，可执行: sudo setcap cap_sys_admin+ep ${ffmpegPath}`
+        : `kmsgrab 无法抓取画面: ${stderr.trim().split('\n').pop() || `退出码 ${probe.status}`}`;
+      return { available: false, reason };
+    }
+    return { available: true, device };
+  },
+  screenArgs(info, { fps }) {
+    return ['-device', info.device, '-f', 'kmsgrab', '-framerate', fps.toString(), '-i', '-'];
+  },
+  screenFilter(info, region) {
+    return ['hwdownload', 'format=bgr0', cropFilter(region)].filter(Boolean).join(',');
+  },
+  windowUnsupported: 'Wayland 会话暂不支持录制指定窗口，请使用区域录制'
+};
+
+// 测试后端：FFmpeg testsrc 生成的测试画面，按实时速率输出（-re），尺寸取选区或画面尺寸
+const testBackend = {
+  name: 'test',
+  label: '测试画面 (lavfi testsrc)',
+  detect() {
+    return { available: true };
+  },
+  screenArgs(info, { fps, region, frame }) {
+    const size = region || frame || { width: 1280, height: 720 };
+    return ['-re', '-f', 'lavfi', '-i', `testsrc=size=${size.width}x${size.height}:rate=${fps}`];
+  },
+  windowArgs(info, { fps }) {
+    return ['-re', '-f', 'lavfi', '-i', `testsrc=size=640x480:rate=${fps}`];
+  }
+};
+
+const BACKENDS = [gdigrabBackend, avfoundationBackend, x11Backend, pipewireBackend, kmsgrabBackend, testBackend];
+
+// 组合后端定义和检测结果，得到录制会话使用的后端对象
+function activate(def, info, extra = {}) {
+  const requireAvailable = () => {
+    if (!info.available) throw new Error(info.reason);
+  };
+  return {
+    name: def.name,
+    label: info.label || def.label,
+    available: !!info.available,
+    reason: info.reason || '',
+    ...extra,
+    screenArgs(options) {
+      requireAvailable();
+      return def.screenArgs(info, { drawMouse: '1', ...options });
+    },
+    screenFilter(region = null, displayOrigin = null) {
+      return info.available && def.screenFilter ? def.screenFilter(info, region, displayOrigin) : null;
+    },
+    windowArgs(options) {
+      requireAvailable();
+      if (!def.windowArgs) throw new Error(def.windowUnsupported || '当前抓屏方式不支持录制指定窗口');
+      return def.windowArgs(info, { drawMouse: '1', ...options });
+    }
+  };
+}
+
+// Linux 下按会话类型选择：X11 使用 x11grab；Wayland 下 x11grab 只能拿到黑屏，
+// 依次尝试 PipeWire 和 kmsgrab
+function detectLinuxBackend() {
+  const env = process.env;
+  const sessionType = (env.XDG_SESSION_TYPE || '').toLowerCase();
+  const wayland = sessionType === 'wayland' || (!!env.WAYLAND_DISPLAY && sessionType !== 'x11');
+  const session = wayland ? 'wayland' : 'x11';
+  if (!wayland) {
+    return activate(x11Backend, x11Backend.detect(), { session });
+  }
+
+  const tried = [pipewireBackend, kmsgrabBackend].map(def => ({ def, info: def.detect() }));
+  const usable = tried.find(t => t.info.available);
+  if (usable) return activate(usable.def, usable.info, { session });
+  const reason = `Wayland 会话下没有可用的抓屏方式（x11grab 只能录到黑屏）：${tried.map(t => t.info.reason).join('；')}`;
+  return activate({ name: null, label: '无' }, { available: false, reason }, { session });
+}
+
+// 当前使用的抓屏后端
+function getCaptureBackend() {
+  if (activeBackend) return activeBackend;
+
+  const forced = (process.env.GIF_CAPTURE_BACKEND || '').toLowerCase();
+  const forcedDef = BACKENDS.find(def => def.name === forced);
+  if (forcedDef) {
+    activeBackend = activate(forcedDef, forcedDef.detect(), { forced: true });
+  } else if (process.platform === 'win32') {
+    activeBackend = activate(gdigrabBackend, gdigrabBackend.detect());
+  } else if (process.platform === 'darwin') {
+    activeBackend = activate(avfoundationBackend, avfoundationBackend.detect());
+  } else {
+    activeBackend = detectLinuxBackend();
+  }
+  console.log('抓屏后端:', describeCaptureBackend());
+  return activeBackend;
+}
+
+// 后端状态（可通过 IPC 传给界面）：{ name, label, available, reason, session, forced }
+function describeCaptureBackend() {
+  const backend = getCaptureBackend();
+  return {
+    name: backend.name,
+    label: backend.label,
+    available: backend.available,
+    reason: backend.reason,
+    session: backend.session || null,
+    forced: !!backend.forced
+  };
+}
+
+module.exports = {
+  setFFmpegPath,
+  getCaptureBackend,
+  describeCaptureBackend
+};
@@ -0,0 +1,143 @@
+// 录制流程的无头检查：用测试抓屏后端（FFmpeg testsrc）跑一遍录制会话，不需要 Electron 和真实屏幕。
+//   node check-recording.js
+// 依次检查定长录制、不定长录制的暂停/继续/停止（两个分段拼接为一个文件）、把拼接结果转换为 GIF
+// 和定长录制中途停止（丢弃），任何一步不符合预期时以非 0 退出
+process.env.GIF_CAPTURE_BACKEND = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const captureBackends = require('./capture-backends');
+const { createRecorder, buildCaptureInput } = require('./recording-session');
+const { createConverter } = require('./format-converter');
+
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+captureBackends.setFFmpegPath(ffmpegPath);
+
+// 录制会话会输出每一段 FFmpeg 日志，这里只显示检查结果
+const report = console.log.bind(console);
+console.log = () => {};
+
+const events = [];
+let isRecording = false;
+const recorder = createRecorder({
+  ffmpegPath,
+  hooks: {
+    notify: channel => events.push(channel),
+    setRecording: (value) => { isRecording = value; },
+    // 抓屏结束后只拼接分段，不做格式转换
+    onCaptured: (session, duration) => {
+      recorder.joinSegments(session.segments, session.tempFile)
+        .then(() => session.resolve({ success: true, filePath: session.tempFile, duration, segments: session.segments.length }))
+        .catch(err => recorder.fail(session, err.message));
+    }
+  }
+});
+
+// 转换使用默认编码设置
+const converter = createConverter({ ffmpegPath });
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gif-capture-check-'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// 读取视频时长（秒），失败时返回 null
+function probeDuration(file) {
+  const result = spawnSync(ffmpegPath, ['-hide_banner', '-i', file], { encoding: 'utf8' });
+  const match = String(result.stderr || '').match(/Duration: (\d+):(\d+):(\d+\.\d+)/);
+  return match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : null;
+}
+
+// 等待某个录制事件出现，超时抛出
+async function waitForEvent(channel, timeout = 5000) {
+  const startedAt = Date.now();
+  while (!events.includes(channel)) {
+    if (Date.now() - startedAt > timeout) throw new Error(`等待 ${channel} 超时`);
+    await sleep(50);
+  }
+}
+
+function startRecording(name, options) {
+  events.length = 0;
+  const backend = captureBackends.getCaptureBackend();
+  const input = buildCaptureInput(backend, { frame: { width: 320, height: 240 } }, options);
+  return recorder.start({
+    inputArgs: input.inputArgs,
+    options,
+    tempFile: path.join(workDir, `${name}.mp4`),
+    outputFile: path.join(workDir, `${name}.gif`)
+  });
+}
+
+async function checkFixedDuration() {
+  const result = await startRecording('fixed', { duration: 1, fps: 10 });
+  expect(result.success, '定长录制没有成功');
+  expect(!isRecording, '录制结束后录制状态没有释放');
+  expect(events.includes('recording-started') && events.includes('recording-captured'), `缺少录制事件: ${events.join(', ')}`);
+  const duration = probeDuration(result.filePath);
+  expect(duration !== null && Math.abs(duration - 1) < 0.5, `定长录制时长不对: ${duration}`);
+  report(`✓ 定长录制 ${duration.toFixed(2)}s`);
+}
+
+async function checkPauseAndStop() {
+  const recording = startRecording('until-stopped', { untilStopped: true, fps: 10 });
+  await sleep(1200);
+  expect(recorder.pause().success, '暂停失败');
+  await waitForEvent('recording-paused');
+  expect(recorder.status().paused, '暂停后状态不是已暂停');
+  expect(recorder.resume().success, '继续录制失败');
+  await sleep(1200);
+  expect(recorder.stop().finishing, '不定长录制停止后没有进入收尾');
+  const result = await recording;
+  expect(result.success && result.segments === 2, `应拼接 2 个分段，实际: ${result.segments}`);
+  const duration = probeDuration(result.filePath);
+  expect(duration !== null && duration > 1.2 && duration < 4, `拼接后的时长不对: ${duration}`);
+  report(`✓ 暂停/继续/停止，${result.segments} 个分段拼接为 ${duration.toFixed(2)}s`);
+  return { filePath: result.filePath, duration };
+}
+
+// 把拼接后的录制文件按录制流程的参数转换为 GIF
+async function checkConvert(recorded) {
+  const outputFile = path.join(workDir, 'converted.gif');
+  const progress = [];
+  await converter.convertToFormat(recorded.filePath, outputFile, 'gif', 320, 10, recorded.duration, {
+    onProgress: percent => progress.push(percent)
+  });
+  expect(fs.existsSync(outputFile), '转换后没有生成 GIF');
+  const header = fs.readFileSync(outputFile).subarray(0, 6).toString('ascii');
+  expect(header === 'GIF89a', `转换结果不是 GIF: ${header}`);
+  expect(progress.length > 0 && progress.every(percent => percent >= 50 && percent <= 100), `转换进度不对: ${progress.join(', ')}`);
+  report(`✓ 转换为 GIF ${(fs.statSync(outputFile).size / 1000).toFixed(0)} KB`);
+}
+
+async function checkCancel() {
+  const recording = startRecording('cancelled', { duration: 10, fps: 10 });
+  await sleep(500);
+  expect(recorder.stop().success, '停止定长录制失败');
+  const result = await recording;
+  expect(result.cancelled, '定长录制中途停止应当丢弃');
+  expect(!recorder.current() && !isRecording, '停止后仍有录制会话');
+  const leftovers = fs.readdirSync(workDir).filter(name => name.startsWith('cancelled'));
+  expect(leftovers.length === 0, `中途停止后留下了临时文件: ${leftovers.join(', ')}`);
+  report('✓ 定长录制中途停止，临时文件已删除');
+}
+
+(async () => {
+  report(`抓屏后端: ${captureBackends.describeCaptureBackend().label}`);
+  try {
+    await checkFixedDuration();
+    const recorded = await checkPauseAndStop();
+    await checkConvert(recorded);
+    await checkCancel();
+    report('录制流程检查通过');
+  } catch (e) {
+    console.error('录制流程检查失败:', e && e.message ? e.message : e);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+})();
@@ -0,0 +1,242 @@
+// 本地控制接口：供自动化脚本（如 Playwright 测试）在每个用例前后开始/结束录制，不需要模拟快捷键。
+// 只监听 127.0.0.1，所有请求都要带令牌（Authorization: Bearer <token> 或 ?token=<token>）。
+//   GET  /status     当前录制状态
+//   GET  /last-file  最近一次生成的文件
+//   POST /start      开始录制，请求体为 JSON 录制参数
+//   POST /stop       结束录制
+//   GET  /events     WebSocket，推送 { event, data } 形式的录制事件
+// 具体的录制逻辑由 main.js 通过 handlers 传入，这里只负责 HTTP/WebSocket 协议本身
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// 请求体上限，录制参数很小，超出直接拒绝
+const MAX_BODY_BYTES = 64 * 1024;
+// 事件通道只需要处理 close/ping（控制帧负载最多 125 字节），单帧或未解析完的数据超过这个大小直接断开
+const MAX_FRAME_BYTES = 1024;
+
+function sendJson(res, statusCode, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text),
+    'Cache-Control': 'no-store'
+  });
+  res.end(text);
+}
+
+function requestToken(req, url) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (match) return match[1].trim();
+  return url.searchParams.get('token') || '';
+}
+
+// 定长比较，避免通过响应时间猜出令牌
+function tokenMatches(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('请求体过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' && !Array.isArray(body) ? body : {});
+      } catch (_) {
+        reject(new Error('请求体不是有效的 JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 服务端发出的帧不加掩码（RFC 6455 5.1）
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// 解析客户端发来的帧（必须带掩码），返回 { frames, rest, oversized }；只关心 close/ping，其余内容忽略。
+// 遇到声明长度超过 MAX_FRAME_BYTES 的帧时停止解析并置 oversized，不再等待它的负载
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    if (length > MAX_FRAME_BYTES) return { frames, rest: buffer.subarray(offset), oversized: true };
+    const maskLength = masked ? 4 : 0;
+    const frameLength = headerLength + maskLength + length;
+    if (buffer.length - offset < frameLength) break;
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, masked, payload });
+    offset += frameLength;
+  }
+  return { frames, rest: buffer.subarray(offset), oversized: false };
+}
+
+// 启动控制接口。handlers: { start(options), stop(), status(), lastFile() }，返回 { success, ... } 或其 Promise，
+// 失败也以 success: false 的结果返回而不是抛出。
+// 返回 Promise<{ port, broadcast(event, data), close() }>，端口被占用等错误会 reject
+function startControlServer({ port, token, handlers }) {
+  const clients = new Set();
+
+  const routes = {
+    'GET /status': () => handlers.status(),
+    'GET /last-file': () => handlers.lastFile(),
+    'POST /start': body => handlers.start(body),
+    'POST /stop': () => handlers.stop()
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (!tokenMatches(token, requestToken(req, url))) {
+      sendJson(res, 401, { success: false, message: '令牌无效' });
+      return;
+    }
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      const known = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+      sendJson(res, known ? 405 : 404, { success: false, message: known ? '不支持的请求方法' : '未知的接口' });
+      return;
+    }
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      sendJson(res, 200, await route(body));
+    } catch (e) {
+      sendJson(res, 400, { success: false, message: e && e.message ? e.message : String(e) });
+    }
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/events' || !key || !tokenMatches(token, requestToken(req, url))) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    clients.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      if (!clients.has(socket)) return;
+      const { frames, rest, oversized } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      // 14 = 最长帧头 10 字节 + 掩码 4 字节
+      if (oversized || pending.length > MAX_FRAME_BYTES + 14) {
+        // 帧过大（1009），回关闭帧后断开，不再缓存后续数据
+        const reason = Buffer.alloc(2);
+        reason.writeUInt16BE(1009, 0);
+        try { socket.end(encodeFrame(0x8, reason)); } catch (_) {}
+        clients.delete(socket);
+        pending = Buffer.alloc(0);
+        return;
+      }
+      frames.forEach((frame) => {
+        if (!frame.masked || frame.opcode === 0x8) {
+          // 客户端要求关闭（或帧不合规），回一个关闭帧后断开
+          try { socket.end(encodeFrame(0x8, Buffer.alloc(0))); } catch (_) {}
+          clients.delete(socket);
+        } else if (frame.opcode === 0x9) {
+          try { socket.write(encodeFrame(0xA, frame.payload)); } catch (_) {}
+        }
+      });
+    });
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+
+    // 连接后先推送一次当前状态，客户端不必再单独查询
+    Promise.resolve()
+      .then(() => handlers.status())
+      .then((status) => {
+        if (clients.has(socket)) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ event: 'status', data: status }))));
+      })
+      .catch((e) => console.error('推送控制接口状态失败:', e && e.message ? e.message : e));
+  });
+
+  function broadcast(event, data) {
+    if (clients.size === 0) return;
+    const frame = encodeFrame(0x1, Buffer.from(JSON.stringify({ event, data: data === undefined ? null : data })));
+    clients.forEach((socket) => {
+      try { socket.write(frame); } catch (_) { clients.delete(socket); }
+    });
+  }
+
+  function close() {
+    clients.forEach((socket) => {
+      try { socket.end(encodeFrame(0x8, Buffer.alloc(0))); } catch (_) {}
+    });
+    clients.clear();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      server.on('error', e => console.error('控制接口出错:', e && e.message ? e.message : e));
+      resolve({ port: server.address().port, broadcast, close });
+    });
+  });
+}
+
+module.exports = {
+  startControlServer
+};
@@ -0,0 +1,644 @@
+// 格式转换：把录制的视频（或任意视频/GIF）转换为 GIF/MP4/WebM/WebP/APNG/AVIF，GIF 可按体积上限反复压缩。
+// 这里不依赖 Electron：各格式的编码设置、导出任务的进程登记、默认进度去向等由 main.js 通过 hooks 传入，
+// 省略时使用默认编码设置，因此可以直接用 node 跑通（见 check-recording.js）
+const fs = require('fs');
+const { spawn, spawnSync } = require('child_process');
+
+// GIF 编码设置，保存在 settings.json 的 gifEncoding 中：
+//   dither       paletteuse 的抖动算法，bayerScale 为 bayer 抖动的网格大小（0~5，越大纹理越明显、文件越小）
+//   statsMode    palettegen 的统计方式：full 全局调色板，diff 只统计变化的像素，single 每帧单独调色板
+//   maxColors    调色板颜色数（2~256）
+//   playCount    播放次数，0 为无限循环
+//   diffRectangle  只重绘与上一帧不同的矩形区域（diff_mode=rectangle），静止画面多时文件更小
+//   lossyTransparency  有损透明强度（0~10，0 为关闭）：先做时域降噪，让前后帧几乎不变的像素变得完全相同，
+//                  GIF 编码器（gifflags=transdiff）会把它们写成透明像素；越大文件越小，细微的变化也越容易被抹掉
+const GIF_DITHERS = ['bayer', 'sierra2_4a', 'sierra2', 'floyd_steinberg', 'none'];
+const GIF_STATS_MODES = ['full', 'diff', 'single'];
+const DEFAULT_GIF_ENCODING_SETTINGS = {
+  dither: 'sierra2_4a',
+  bayerScale: 3,
+  statsMode: 'full',
+  maxColors: 256,
+  playCount: 0,
+  diffRectangle: false,
+  lossyTransparency: 0
+};
+
+// GIF 体积预算：依次尝试以下各档，直到文件不超过上限。第一档为用户的 GIF 编码设置，
+// 之后各档相对用户设置的帧率、宽度缩放，从只改调色板（不影响清晰度）开始，逐步降低颜色数、帧率和尺寸
+const GIF_BUDGET_LEVELS = [
+  { fpsScale: 1, widthScale: 1 },
+  { fpsScale: 1, widthScale: 1, maxColors: 256, dither: 'bayer', statsMode: 'diff' },
+  { fpsScale: 1, widthScale: 1, maxColors: 128, dither: 'bayer', statsMode: 'diff' },
+  { fpsScale: 0.75, widthScale: 1, maxColors: 128, dither: 'bayer', statsMode: 'diff' },
+  { fpsScale: 0.75, widthScale: 0.85, maxColors: 64, dither: 'bayer', statsMode: 'diff' },
+  { fpsScale: 0.5, widthScale: 0.7, maxColors: 64, dither: 'none', statsMode: 'diff' },
+  { fpsScale: 0.5, widthScale: 0.5, maxColors: 32, dither: 'none', statsMode: 'diff' }
+];
+const GIF_BUDGET_MIN_FPS = 5;
+const GIF_BUDGET_MIN_WIDTH = 160;
+
+// MP4 编码设置，保存在 settings.json 的 mp4Encoding 中：
+//   quality    画质预设 small / balanced / high，对应下表的 crf 与编码速度
+//   codec      h264 兼容性最好；h265 同画质下文件约小一半，但部分浏览器无法播放
+//   faststart  把 moov 移到文件开头，网页播放器无需下载完整文件即可开始播放
+const MP4_QUALITY_PRESETS = {
+  small: { h264: 28, h265: 30, preset: 'slow' },
+  balanced: { h264: 23, h265: 26, preset: 'medium' },
+  high: { h264: 18, h265: 21, preset: 'slow' }
+};
+const MP4_CODECS = {
+  h264: { encoder: 'libx264', args: [] },
+  // hvc1 标签让 Safari/QuickTime 能识别 H.265
+  h265: { encoder: 'libx265', args: ['-tag:v', 'hvc1', '-x265-params', 'log-level=error'] }
+};
+const DEFAULT_MP4_ENCODING_SETTINGS = { quality: 'balanced', codec: 'h264', faststart: true };
+
+// WebP/APNG/AVIF 的编码设置，按格式分别保存在 settings.json 的 imageEncoding 中：
+//   quality    画质 0~100，无损时忽略；APNG 的有损模式按画质减少调色板颜色数
+//   lossless   无损编码
+//   playCount  播放次数，0 为无限循环
+const DEFAULT_IMAGE_ENCODING_SETTINGS = {
+  webp: { quality: 80, lossless: false, playCount: 0 },
+  apng: { quality: 80, lossless: true, playCount: 0 },
+  avif: { quality: 60, lossless: false, playCount: 0 }
+};
+
+// WebP/APNG/AVIF 需要的编码器和复用器；较旧的 FFmpeg（5.1 以前）没有 avif 复用器
+const FORMAT_REQUIREMENTS = {
+  webp: { encoder: 'libwebp_anim', muxer: 'webp', hint: '需要包含 libwebp 的 FFmpeg' },
+  apng: { encoder: 'apng', muxer: 'apng', hint: '需要包含 APNG 编码器的 FFmpeg' },
+  avif: { encoder: 'libaom-av1', muxer: 'avif', hint: '需要 FFmpeg 5.1 以上并包含 libaom-av1' }
+};
+
+// 点击涟漪动画时长（秒）
+const CLICK_RIPPLE_SECONDS = 0.5;
+
+// 滤镜参数中的文件路径：统一为正斜杠并转义冒号（Windows 盘符）
+function escapeFilterPath(file) {
+  return file.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+// 构建转换用的滤镜图：主视频为 0 号输入，图片类标注依次追加为后续输入；
+// 标注按源视频像素坐标先烧录，再执行 filters（fps/scale 等），最终输出标签为 [src]
+function buildSourceGraph(inputFile, filters, annotations = []) {
+  const inputArgs = ['-i', inputFile];
+  const steps = ['[0:v]setpts=PTS-STARTPTS[v0]'];
+  let current = 'v0';
+  let labelCount = 0;
+  const nextLabel = () => `v${++labelCount}`;
+
+  annotations.forEach((a) => {
+    if (a.type === 'cursor') {
+      // 光标高亮：半透明圆跟随 sendcmd 给出的位置移动
+      const r = a.radius;
+      const ring = nextLabel();
+      const moved = nextLabel();
+      const out = nextLabel();
+      steps.push(`color=c=black@0:s=${r * 2}x${r * 2}:r=${a.fps},format=rgba,geq=r=255:g=214:b=0:a='if(lt(hypot(X-${r},Y-${r}),${r}),110,0)'[${ring}]`);
+      steps.push(`[${current}]sendcmd=f='${escapeFilterPath(a.commandsFile)}'[${moved}]`);
+      steps.push(`[${moved}][${ring}]overlay@cursor=x=-${r * 2}:y=-${r * 2}:shortest=1[${out}]`);
+      current = out;
+      return;
+    }
+    if (a.type === 'clicks') {
+      // 点击涟漪：生成一段扩散的圆环动画，按每次点击的时间平移后叠加到点击位置
+      const r = a.radius;
+      const ripple = nextLabel();
+      const copies = a.clicks.map(() => nextLabel());
+      steps.push(`color=c=black@0:s=${r * 2}x${r * 2}:r=${a.fps}:d=${CLICK_RIPPLE_SECONDS},format=rgba,geq=r=255:g=59:b=48:a='if(lt(abs(hypot(X-${r},Y-${r})-(4+${r - 8}*T/${CLICK_RIPPLE_SECONDS})),3),255*(1-T/${CLICK_RIPPLE_SECONDS}),0)'${copies.length > 1 ? `,split=${copies.length}` : ''}${copies.map(c => `[${c}]`).join('')}`);
+      a.clicks.forEach((click, index) => {
+        const delayed = nextLabel();
+        const out = nextLabel();
+        steps.push(`[${copies[index]}]setpts=PTS+${click.start.toFixed(3)}/TB[${delayed}]`);
+        steps.push(`[${current}][${delayed}]overlay=${click.x - r}:${click.y - r}:eof_action=pass[${out}]`);
+        current = out;
+      });
+      return;
+    }
+
+    const enable = `enable='between(t,${a.start.toFixed(3)},${a.end.toFixed(3)})'`;
+    if (a.type === 'keystroke') {
+      // 按键徽标：最后 0.3 秒淡出
+      const out = nextLabel();
+      const fadeStart = Math.max(a.start, a.end - 0.3);
+      const alpha = `alpha='if(lt(t,${fadeStart.toFixed(3)}),1,max(0,(${a.end.toFixed(3)}-t)/0.3))'`;
+      const font = a.fontFile ? `fontfile='${escapeFilterPath(a.fontFile)}':` : '';
+      steps.push(`[${current}]drawtext=${font}textfile='${escapeFilterPath(a.textFile)}':expansion=none:fontsize=h/14:fontcolor=${a.style.color}:box=1:boxcolor=${a.style.box}:boxborderw=12:${a.position}:${alpha}:${enable}[${out}]`);
+      current = out;
+      return;
+    }
+    if (a.type === 'image') {
+      inputArgs.push('-i', a.file);
+      const inputIndex = inputArgs.filter(arg => arg === '-i').length - 1;
+      const out = nextLabel();
+      steps.push(`[${current}][${inputIndex}:v]overlay=0:0:${enable}[${out}]`);
+      current = out;
+      return;
+    }
+
+    // 模糊/马赛克：裁出区域处理后再叠回原位置
+    const effect = a.type === 'pixelate'
+      ? pixelateFilter(a.width, a.height, Math.max(4, Math.round(Math.min(a.width, a.height) / 12)))
+      : blurFilter(a.width, a.height);
+    const out = nextLabel();
+    steps.push(...regionEffectSteps(current, out, a, effect, `:${enable}`, nextLabel));
+    current = out;
+  });
+
+  steps.push(`[${current}]${filters || 'null'}[src]`);
+  return { inputArgs, graph: steps.join(';') };
+}
+
+function pixelateFilter(width, height, blockSize) {
+  return `scale=${Math.max(1, Math.round(width / blockSize))}:${Math.max(1, Math.round(height / blockSize))}:flags=area,scale=${width}:${height}:flags=neighbor`;
+}
+
+function blurFilter(width, height) {
+  // boxblur 半径不能超过平面尺寸的一半，色度平面按 4:2:0 计算
+  const lumaRadius = Math.max(1, Math.min(20, Math.floor(Math.min(width, height) / 2) - 1));
+  const chromaRadius = Math.max(1, Math.min(10, Math.floor(Math.min(width, height) / 4) - 1));
+  return `boxblur=${lumaRadius}:2:${chromaRadius}:2`;
+}
+
+// 把 rect 区域裁出、经 effect 处理后叠回 [input]，输出到 [output]
+function regionEffectSteps(input, output, rect, effect, overlayOptions, nextLabel) {
+  const base = nextLabel();
+  const region = nextLabel();
+  const processed = nextLabel();
+  return [
+    `[${input}]split[${base}][${region}]`,
+    `[${region}]crop=${rect.width}:${rect.height}:${rect.x}:${rect.y},${effect}[${processed}]`,
+    `[${base}][${processed}]overlay=${rect.x}:${rect.y}${overlayOptions}[${output}]`
+  ];
+}
+
+// WebP/APNG/AVIF 的滤镜和编码参数：graph 为输出 [src] 的滤镜图，返回 { graph, map, outputArgs }
+function imageFormatOutput(format, graph, settings) {
+  const quality = settings.quality;
+  const playCount = String(settings.playCount || 0);
+  if (format === 'webp') {
+    return {
+      graph,
+      map: '[src]',
+      outputArgs: [
+        '-c:v', 'libwebp_anim',
+        ...(settings.lossless ? ['-lossless', '1'] : ['-quality', String(quality)]),
+        '-loop', playCount
+      ]
+    };
+  }
+  if (format === 'apng') {
+    // 有损模式量化为调色板（颜色数随画质在 16~256 之间），文件可小一半以上；
+    // 调色板在同一条滤镜链中生成，需要缓存全部帧，适合短动图
+    const colors = Math.max(16, Math.round((256 * quality) / 100));
+    return {
+      graph: settings.lossless
+        ? graph
+        : `${graph};[src]split[s0][s1];[s0]palettegen=max_colors=${colors}[p];[s1][p]paletteuse[png]`,
+      map: settings.lossless ? '[src]' : '[png]',
+      // 扩展名为 .png，需显式指定复用器，否则会按单张图片输出
+      outputArgs: ['-c:v', 'apng', '-pred', 'mixed', '-plays', playCount, '-f', 'apng']
+    };
+  }
+  // AVIF：画质 0~100 对应 crf 63~0
+  return {
+    graph,
+    map: '[src]',
+    outputArgs: [
+      '-c:v', 'libaom-av1',
+      '-cpu-used', '6',
+      '-row-mt', '1',
+      '-b:v', '0',
+      ...(settings.lossless
+        ? ['-crf', '0', '-aom-params', 'lossless=1', '-pix_fmt', 'yuv444p']
+        : ['-crf', String(Math.round(63 - (quality * 63) / 100)), '-pix_fmt', 'yuv420p']),
+      '-loop', playCount
+    ]
+  };
+}
+
+// 体积优化参数的文字说明，如 “12 FPS · 512px · 128 色 · bayer 抖动 · 差异统计”（fps 为 null 时省略帧率）。
+// 体积优化报告的 label 即由此生成，主界面、重新导出窗口和命令行直接显示它
+function describeGifOptimization(choice) {
+  const dither = { sierra2_4a: '误差扩散抖动', sierra2: 'sierra2 抖动', floyd_steinberg: 'Floyd-Steinberg 抖动', bayer: 'bayer 抖动', none: '无抖动' }[choice.dither] || choice.dither;
+  const statsMode = { diff: ' · 差异统计', single: ' · 逐帧调色板' }[choice.statsMode] || '';
+  return `${choice.fps ? `${choice.fps} FPS · ` : ''}${choice.width}px · ${choice.maxColors} 色 · ${dither}${statsMode}`;
+}
+
+// 创建转换器。hooks：
+//   gifSettings() / mp4Settings() / imageSettings(format)  当前保存的编码设置
+//   trackProcess(proc)   登记转换中启动的 FFmpeg 进程（取消导出任务时一并结束）
+//   reportProgress(percent)  未传 onProgress 时的进度去向
+//   decode(buffer)       解码 FFmpeg 输出
+function createConverter({ ffmpegPath, hooks = {} }) {
+  const gifSettings = hooks.gifSettings || (() => ({ ...DEFAULT_GIF_ENCODING_SETTINGS }));
+  const mp4Settings = hooks.mp4Settings || (() => ({ ...DEFAULT_MP4_ENCODING_SETTINGS }));
+  const imageSettings = hooks.imageSettings || (format => ({ ...DEFAULT_IMAGE_ENCODING_SETTINGS[format] }));
+  const trackProcess = hooks.trackProcess || (() => {});
+  const reportProgress = hooks.reportProgress || (() => {});
+  const decode = hooks.decode || (data => String(data));
+
+  // FFmpeg 编译时包含的编码器和复用器，首次用到时读取：{ encoders: Set, muxers: Set }，读取失败为 null
+  let ffmpegCapabilities;
+
+  function loadFFmpegCapabilities() {
+    if (ffmpegCapabilities !== undefined) return ffmpegCapabilities;
+    try {
+      const list = (args, pattern) => {
+        const result = spawnSync(ffmpegPath, ['-hide_banner', ...args], { stdio: 'pipe', timeout: 5000 });
+        if (result.status !== 0) throw new Error(`退出码: ${result.status}`);
+        const names = new Set();
+        String(result.stdout).split(/\r?\n/).forEach((line) => {
+          const match = pattern.exec(line);
+          if (match) match[1].split(',').forEach(name => names.add(name));
+        });
+        return names;
+      };
+      ffmpegCapabilities = {
+        // 形如 " V..... libwebp_anim  libwebp WebP image"
+        encoders: list(['-encoders'], /^\s*[VAS][A-Z.]{5}\s+(\S+)/),
+        // 形如 "  E webp  WebP"
+        muxers: list(['-muxers'], /^\s*D?E\s+(\S+)/)
+      };
+    } catch (e) {
+      console.error('读取FFmpeg编码器列表失败:', e && e.message ? e.message : e);
+      ffmpegCapabilities = null;
+    }
+    return ffmpegCapabilities;
+  }
+
+  // 当前 FFmpeg 能否输出该格式：{ available, reason }；读不到编码器列表时视为可用，由转换本身报错
+  function exportFormatSupport(format) {
+    const requirement = FORMAT_REQUIREMENTS[format];
+    const capabilities = requirement ? loadFFmpegCapabilities() : null;
+    if (!capabilities) return { available: true, reason: null };
+    const available = capabilities.encoders.has(requirement.encoder) && capabilities.muxers.has(requirement.muxer);
+    return { available, reason: available ? null : `当前 FFmpeg 不支持 ${format.toUpperCase()} 输出（${requirement.hint}）` };
+  }
+
+  // 当前 FFmpeg 是否包含该 MP4 编码器：{ available, reason }，读不到编码器列表时视为可用
+  function mp4CodecSupport(codec) {
+    const capabilities = loadFFmpegCapabilities();
+    const encoder = (MP4_CODECS[codec] || MP4_CODECS.h264).encoder;
+    const available = !capabilities || capabilities.encoders.has(encoder);
+    return { available, reason: available ? null : `当前 FFmpeg 不支持 ${codec.toUpperCase()} 编码（缺少 ${encoder}）` };
+  }
+
+  // 按 MP4 编码设置生成编码参数（放在滤镜之后、输出文件之前），当前 FFmpeg 缺少所选编码器时抛出
+  function mp4EncoderArgs(settings = mp4Settings()) {
+    const support = mp4CodecSupport(settings.codec);
+    if (!support.available) throw new Error(support.reason);
+    const codec = MP4_CODECS[settings.codec];
+    const quality = MP4_QUALITY_PRESETS[settings.quality];
+    return [
+      '-c:v', codec.encoder,
+      '-preset', quality.preset,
+      '-crf', String(quality[settings.codec]),
+      '-pix_fmt', 'yuv420p',
+      ...codec.args,
+      ...(settings.faststart ? ['-movflags', '+faststart'] : [])
+    ];
+  }
+
+  // 按 GIF_BUDGET_LEVELS 反复编码直到不超过 maxBytes。encode(fps, width, palette, file) 编码一次；
+  // base 为用户的 GIF 编码设置，各档未指定的参数沿用它，颜色数不超过用户设置。
+  // 每一档开始前调用 onAttempt({ attempt, total, fps, width, maxColors, dither, statsMode })。
+  // fps 为 null 时（逐帧编辑的帧序列，每帧延时各不相同）保留全部帧，只调整尺寸和调色板；
+  // 与上一档参数完全相同的档位（如 fps 为 null 时只差帧率的两档，或已到最小尺寸）不再重复编码。
+  // 始终保留体积最小的一次结果，返回 { fits, size, maxBytes, attempt, fps, width, maxColors, dither, statsMode, label }，
+  // label 为参数的文字说明（见 describeGifOptimization）
+  async function encodeGifWithinBudget(encode, outputFile, width, fps, maxBytes, onAttempt = () => {}, base = DEFAULT_GIF_ENCODING_SETTINGS) {
+    const attemptFile = outputFile.replace(/\.gif$/i, '') + '-attempt.gif';
+    const levels = [];
+    GIF_BUDGET_LEVELS.forEach((level) => {
+      const choice = {
+        fps: fps ? Math.min(fps, Math.max(GIF_BUDGET_MIN_FPS, Math.round(fps * level.fpsScale))) : null,
+        width: Math.min(width, Math.max(GIF_BUDGET_MIN_WIDTH, Math.round((width * level.widthScale) / 2) * 2)),
+        maxColors: Math.min(base.maxColors, level.maxColors || 256),
+        dither: level.dither || base.dither,
+        statsMode: level.statsMode || base.statsMode
+      };
+      const previous = levels[levels.length - 1];
+      if (previous && Object.keys(choice).every(key => choice[key] === previous.choice[key])) return;
+      levels.push({ level, choice });
+    });
+    const total = levels.length;
+    let best = null;
+    try {
+      for (let i = 0; i < total; i++) {
+        const { level, choice } = levels[i];
+        onAttempt({ attempt: i + 1, total, ...choice });
+        // 差异统计的档位同时只重绘变化区域；循环次数、bayer 网格大小始终沿用用户设置
+        const palette = { ...base, ...choice, diffRectangle: base.diffRectangle || level.statsMode === 'diff' };
+        await encode(choice.fps, choice.width, palette, attemptFile);
+        const size = fs.statSync(attemptFile).size;
+        console.log(`GIF 体积第 ${i + 1} 次尝试: ${(size / 1000 / 1000).toFixed(2)} MB（上限 ${(maxBytes / 1000 / 1000).toFixed(2)} MB）`, choice);
+        if (!best || size < best.size) {
+          fs.renameSync(attemptFile, outputFile);
+          best = { ...choice, size, attempt: i + 1 };
+        }
+        if (size <= maxBytes) break;
+        // 超出上限一倍以上时，下一档多半也不够，直接跳过
+        if (size > maxBytes * 2 && i + 2 < total) i++;
+      }
+    } finally {
+      try { if (fs.existsSync(attemptFile)) fs.unlinkSync(attemptFile); } catch (_) {}
+    }
+    return { ...best, maxBytes, fits: best.size <= maxBytes, label: describeGifOptimization(best) };
+  }
+
+  // 两遍调色板法生成 GIF：先 palettegen 再 paletteuse；inputArgs 为输入参数，
+  // graph 为输出标签 [src] 的滤镜图（见 buildSourceGraph），调色板作为最后一个输入。
+  // palette 为 GIF 编码设置（见 DEFAULT_GIF_ENCODING_SETTINGS），省略的字段使用 FFmpeg 默认值
+  function encodeGifWithPalette(inputArgs, graph, outputFile, paletteFile, duration, onProgress = reportProgress, palette = {}) {
+    const genOptions = [];
+    if (palette.maxColors && palette.maxColors < 256) genOptions.push(`max_colors=${palette.maxColors}`);
+    // stats_mode=diff 只统计变化的像素，静止背景多的录屏能省下不少颜色
+    if (palette.statsMode === 'diff' || palette.statsMode === 'single') genOptions.push(`stats_mode=${palette.statsMode}`);
+    const useOptions = [];
+    if (palette.dither === 'bayer') {
+      const bayerScale = palette.bayerScale !== undefined ? palette.bayerScale : DEFAULT_GIF_ENCODING_SETTINGS.bayerScale;
+      useOptions.push(`dither=bayer:bayer_scale=${bayerScale}`);
+    } else if (palette.dither && palette.dither !== 'sierra2_4a') {
+      useOptions.push(`dither=${palette.dither}`);
+    }
+    // 只重绘变化的矩形区域，帧间差异小，LZW 压缩效果更好
+    if (palette.diffRectangle) useOptions.push('diff_mode=rectangle');
+    // 逐帧调色板时每帧使用自己的调色板
+    if (palette.statsMode === 'single') useOptions.push('new=1');
+    const palettegen = genOptions.length > 0 ? `palettegen=${genOptions.join(':')}` : 'palettegen';
+    const paletteuse = useOptions.length > 0 ? `paletteuse=${useOptions.join(':')}` : 'paletteuse';
+    // GIF 复用器的 -loop：0 无限循环，-1 只播放一次，N 为重复 N 次（共播放 N+1 次）
+    const loopArgs = [];
+    if (palette.playCount === 1) loopArgs.push('-loop', '-1');
+    else if (palette.playCount > 1) loopArgs.push('-loop', String(palette.playCount - 1));
+    // 有损透明：在 [src] 之后做时域降噪，输出 [lossy]（空间降噪取极小值，传 0 会被 hqdn3d 当作默认值 4）；
+    // 前后帧相同的像素由 GIF 编码器的 transdiff 写成透明
+    const lossy = Math.max(0, Math.min(10, Math.round(Number(palette.lossyTransparency) || 0)));
+    const sourceGraph = lossy > 0 ? `${graph};[src]hqdn3d=0.1:0.1:${lossy}:${lossy}[lossy]` : graph;
+    const source = lossy > 0 ? '[lossy]' : '[src]';
+    const gifFlags = lossy > 0 ? ['-gifflags', '+transdiff'] : [];
+
+    return new Promise((resolve, reject) => {
+      // 使用调色板生成GIF：paletteInputs 为调色板文件的输入参数（逐帧调色板时为空）
+      const convertWithPalette = (filterGraph, paletteInputs) => {
+        const convertArgs = [
+          ...inputArgs,
+          ...paletteInputs,
+          '-filter_complex', filterGraph,
+          ...loopArgs,
+          ...gifFlags,
+          '-y', outputFile
+        ];
+        
+        console.log('转换GIF命令:', ffmpegPath, convertArgs.join(' '));
+        
+        const gifProcess = spawn(ffmpegPath, convertArgs);
+        trackProcess(gifProcess);
+        let stderr = '';
+        
+        gifProcess.stderr.on('data', (data) => {
+          const chunk = Buffer.isBuffer(data) ? decode(data) : String(data);
+          stderr += chunk;
+          const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
+          if (progressMatch) {
+            const hours = parseInt(progressMatch[1]);
+            const minutes = parseInt(progressMatch[2]);
+            const seconds = parseFloat(progressMatch[3]);
+            const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+            const percent = 50 + Math.min(Math.round((totalSeconds / duration) * 50), 50); // 转换占50%
+            onProgress(percent);
+          }
+        });
+        
+        gifProcess.on('close', (code) => {
+          // 清理调色板文件
+          if (fs.existsSync(paletteFile)) {
+            fs.unlinkSync(paletteFile);
+          }
+          
+          if (code === 0) {
+            console.log('GIF转换完成');
+            resolve();
+          } else {
+            reject(new Error(`GIF转换失败，退出码: ${code}`));
+          }
+        });
+        
+        gifProcess.on('error', (err) => {
+          reject(err);
+        });
+      };
+
+      // 逐帧调色板每帧各生成一个调色板，无法写入单个文件，在同一条滤镜链中生成并使用
+      if (palette.statsMode === 'single') {
+        convertWithPalette(`${sourceGraph};${source}split[s0][s1];[s0]${palettegen}[p];[s1][p]${paletteuse}`, []);
+        return;
+      }
+
+      const paletteArgs = [...inputArgs, '-filter_complex', `${sourceGraph};${source}${palettegen}`, '-y', paletteFile];
+      
+      console.log('生成调色板命令:', ffmpegPath, paletteArgs.join(' '));
+      
+      const paletteProcess = spawn(ffmpegPath, paletteArgs);
+      trackProcess(paletteProcess);
+      
+      paletteProcess.on('close', (code) => {
+        if (code === 0) {
+          const paletteIndex = inputArgs.filter(arg => arg === '-i').length;
+          convertWithPalette(`${sourceGraph};${source}[${paletteIndex}:v]${paletteuse}`, ['-i', paletteFile]);
+        } else {
+          reject(new Error(`调色板生成失败，退出码: ${code}`));
+        }
+      });
+      
+      paletteProcess.on('error', (err) => {
+        reject(err);
+      });
+    });
+  }
+
+  // 运行一次转换命令并按 time= 上报进度（转换占后 50%）
+  function runConvertProcess(convertArgs, label, duration, onProgress = reportProgress) {
+    return new Promise((resolve, reject) => {
+      console.log(`转换${label}命令:`, ffmpegPath, convertArgs.join(' '));
+      
+      const convertProcess = spawn(ffmpegPath, convertArgs);
+      trackProcess(convertProcess);
+      let stderr = '';
+      
+      convertProcess.stderr.on('data', (data) => {
+        const chunk = Buffer.isBuffer(data) ? decode(data) : String(data);
+        stderr += chunk;
+        const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
+        if (progressMatch) {
+          const hours = parseInt(progressMatch[1]);
+          const minutes = parseInt(progressMatch[2]);
+          const seconds = parseFloat(progressMatch[3]);
+          const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+          const percent = 50 + Math.min(Math.round((totalSeconds / duration) * 50), 50);
+          onProgress(percent);
+        }
+      });
+      
+      convertProcess.on('close', (code) => {
+        if (code === 0) {
+          console.log(`${label}转换完成`);
+          resolve();
+        } else {
+          reject(new Error(`${label}转换失败，退出码: ${code}`));
+        }
+      });
+      
+      convertProcess.on('error', (err) => {
+        reject(err);
+      });
+    });
+  }
+
+  // 转换格式函数（options.annotations 为 main.js 中 prepareAnnotations 等整理后的标注，会烧录进输出；
+  // options.onProgress 接收 50~100 的进度，默认交给 hooks.reportProgress；GIF、WebP、APNG、AVIF
+  // 按保存的编码设置编码）。
+  // 重新导出时还可以传：
+  //   trim: { start, end }  只转换这一段（秒），duration 应为裁剪后的长度
+  //   resample: true        WebM 也按 fps 输出（录制流程中 WebM 保持原始帧率）
+  //   lossless: true        MP4 无损编码并保持原始尺寸和帧率，用于保存母版
+  //   maxBytes              GIF 体积上限，超出时逐步降低参数重新编码（见 encodeGifWithinBudget），
+  //                         此时结果为体积优化报告，onBudgetAttempt 接收每次尝试的参数
+  function convertToFormat(inputFile, outputFile, format, width, fps, duration, options = {}) {
+    const annotations = options.annotations || [];
+    const onProgress = options.onProgress;
+    // 宽高都取偶数，满足 yuv420p 编码
+    const resampled = `fps=${fps},scale=${Math.round(width / 2) * 2}:-2:flags=lanczos`;
+    const sourceGraph = (filters) => {
+      const source = buildSourceGraph(inputFile, filters, annotations);
+      if (options.trim) {
+        const start = Math.max(0, Number(options.trim.start) || 0);
+        const trimArgs = ['-ss', start.toFixed(3)];
+        if (options.trim.end !== null && options.trim.end !== undefined) {
+          trimArgs.push('-t', (Number(options.trim.end) - start).toFixed(3));
+        }
+        // 只作用于第一个输入（源文件），标注图片等其他输入不受影响
+        source.inputArgs.unshift(...trimArgs);
+      }
+      return source;
+    };
+    return new Promise((resolve, reject) => {
+      if (format === 'gif') {
+        const paletteFile = outputFile.replace(/\.[^.\\/]+$/, '') + '-palette.png';
+        const gifEncoding = gifSettings();
+        const encode = (gifFps, gifWidth, palette, target) => {
+          const { inputArgs, graph } = sourceGraph(`fps=${gifFps},scale=${gifWidth}:-1:flags=lanczos`);
+          return encodeGifWithPalette(inputArgs, graph, target, paletteFile, duration, onProgress, palette);
+        };
+        const encoding = options.maxBytes
+          ? encodeGifWithinBudget(encode, outputFile, width, fps, options.maxBytes, options.onBudgetAttempt, gifEncoding)
+          : encode(fps, width, gifEncoding, outputFile);
+        encoding
+          .then(resolve)
+          .catch(reject);
+        
+      } else if (format === 'webm') {
+        const { inputArgs, graph } = sourceGraph(options.resample ? resampled : `scale=${width}:-1`);
+        const convertArgs = [
+          ...inputArgs,
+          '-filter_complex', graph,
+          '-map', '[src]',
+          '-c:v', 'libvpx-vp9',
+          '-crf', '10',
+          '-b:v', '0',
+          '-pix_fmt', 'yuva420p',
+          '-y', outputFile
+        ];
+        runConvertProcess(convertArgs, 'WebM', duration, onProgress)
+          .then(resolve)
+          .catch(reject);
+      } else if (format === 'mp4' && options.lossless) {
+        // 母版保持原始尺寸（从 GIF 等其他文件转换时宽高可能为奇数，裁掉一像素以满足 yuv420p）
+        const { inputArgs, graph } = sourceGraph('crop=trunc(iw/2)*2:trunc(ih/2)*2');
+        const convertArgs = [
+          ...inputArgs,
+          '-filter_complex', graph,
+          '-map', '[src]',
+          '-c:v', 'libx264',
+          '-preset', 'ultrafast',
+          '-crf', '0',
+          '-pix_fmt', 'yuv420p',
+          '-y', outputFile
+        ];
+        runConvertProcess(convertArgs, 'MP4', duration, onProgress)
+          .then(resolve)
+          .catch(reject);
+      } else if (format === 'mp4') {
+        // 按 width/fps 和 MP4 编码设置重新编码（录制用的临时文件是 ultrafast 编码，体积很大）
+        let encoderArgs;
+        try {
+          encoderArgs = mp4EncoderArgs();
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        const { inputArgs, graph } = sourceGraph(resampled);
+        const convertArgs = [
+          ...inputArgs,
+          '-filter_complex', graph,
+          '-map', '[src]',
+          ...encoderArgs,
+          '-y', outputFile
+        ];
+        runConvertProcess(convertArgs, 'MP4', duration, onProgress)
+          .then(resolve)
+          .catch(reject);
+      } else if (DEFAULT_IMAGE_ENCODING_SETTINGS[format]) {
+        // WebP/APNG/AVIF 与 GIF 一样按 width/fps 输出
+        const support = exportFormatSupport(format);
+        if (!support.available) {
+          reject(new Error(support.reason));
+          return;
+        }
+        const { inputArgs, graph } = sourceGraph(resampled);
+        const output = imageFormatOutput(format, graph, imageSettings(format));
+        const convertArgs = [
+          ...inputArgs,
+          '-filter_complex', output.graph,
+          '-map', output.map,
+          ...output.outputArgs,
+          '-y', outputFile
+        ];
+        runConvertProcess(convertArgs, format.toUpperCase(), duration, onProgress)
+          .then(resolve)
+          .catch(reject);
+      } else {
+        reject(new Error(`不支持的格式: ${format}`));
+      }
+    });
+  }
+
+  return {
+    loadFFmpegCapabilities,
+    exportFormatSupport,
+    mp4CodecSupport,
+    mp4EncoderArgs,
+    encodeGifWithinBudget,
+    encodeGifWithPalette,
+    runConvertProcess,
+    convertToFormat
+  };
+}
+
+module.exports = {
+  createConverter,
+  buildSourceGraph,
+  describeGifOptimization,
+  regionEffectSteps,
+  pixelateFilter,
+  imageFormatOutput,
+  GIF_DITHERS,
+  GIF_STATS_MODES,
+  DEFAULT_GIF_ENCODING_SETTINGS,
+  MP4_QUALITY_PRESETS,
+  MP4_CODECS,
+  DEFAULT_MP4_ENCODING_SETTINGS,
+  DEFAULT_IMAGE_ENCODING_SETTINGS
+};
@@ -2,7 +2,26 @@ const { app, BrowserWindow, ipcMain, desktopCapturer, screen, globalShortcut, cl
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
 const { spawn, spawnSync } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const captureBackends = require('./capture-backends');
+const { startControlServer } = require('./control-server');
+const { createRecorder, buildCaptureInput, parseFFmpegTime } = require('./recording-session');
+const {
+  createConverter,
+  buildSourceGraph,
+  regionEffectSteps,
+  pixelateFilter,
+  GIF_DITHERS,
+  GIF_STATS_MODES,
+  DEFAULT_GIF_ENCODING_SETTINGS,
+  MP4_QUALITY_PRESETS,
+  MP4_CODECS,
+  DEFAULT_MP4_ENCODING_SETTINGS,
+  DEFAULT_IMAGE_ENCODING_SETTINGS
+} = require('./format-converter');
 
 // 获取FFmpeg路径，优先使用 @ffmpeg-installer 提供的路径，并兼容 asar.unpacked
 function getFFmpegPath() {
@@ -29,6 +48,7 @@ function getFFmpegPath() {
 }
 
 const ffmpegPath = getFFmpegPath();
+captureBackends.setFFmpegPath(ffmpegPath);
 
 // 检测FFmpeg是否可用
 function checkFFmpegAvailability() {
@@ -50,6 +70,27 @@ function checkFFmpegAvailability() {
   }
 }
 
+// 格式转换（见 format-converter.js）：编码设置、导出任务的进程登记和默认进度去向通过 hooks 注入
+const {
+  exportFormatSupport,
+  mp4CodecSupport,
+  mp4EncoderArgs,
+  encodeGifWithinBudget,
+  encodeGifWithPalette,
+  runConvertProcess,
+  convertToFormat
+} = createConverter({
+  ffmpegPath,
+  hooks: {
+    gifSettings: () => loadGifEncodingSettings(),
+    mp4Settings: () => loadMp4EncodingSettings(),
+    imageSettings: format => loadImageEncodingSettings(format),
+    trackProcess: proc => trackExportProcess(proc),
+    reportProgress: percent => reportConvertProgress(percent),
+    decode: buf => decodeBuffer(buf)
+  }
+});
+
 // 确保日志在 Windows 上不会出现 GBK/ANSI 的乱码
 const iconv = require('iconv-lite');
 
@@ -107,9 +148,13 @@ function formatArgs(args) {
   return args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
 }
 
+// 命令行模式下（未加 --verbose）console.log 只写日志文件，终端只显示结果和错误
+let consoleQuiet = false;
+
 console.log = (...args) => {
   const line = formatArgs(args);
   writeLogToFile(line);
+  if (consoleQuiet) return;
 
   if (process.platform === 'win32' && CONSOLE_ENCODING === 'gbk') {
     try {
@@ -146,18 +191,56 @@ console.error = (...args) => {
 };
 
 let mainWindow;
-let overlayWindow;
+// 区域选择覆盖窗口，每个显示器一个
+let overlayWindows = [];
+// 覆盖窗口全部关闭后是否恢复主窗口（确认选区后保持隐藏，避免被录进画面）
+let restoreMainOnOverlayClose = true;
+// 窗口录制的选择界面
+let windowPickerWindow = null;
+let restoreMainOnPickerClose = true;
+let editorWindow = null;
+// 重新导出窗口（见 openReexportWindow）
+let reexportWindow = null;
+let countdownWindow = null;
+// 录制前倒计时：{ timer, finish }，倒计时期间不允许开始新的录制
+let countdownState = null;
+// 定时任务的计时器：jobId -> timeout
+const scheduledTimers = new Map();
+// 正在进行的延时摄影（见 startTimelapse）
+let timelapseSession = null;
+// 剪辑窗口等待中的决定：{ filePath, duration, fps, width, format, cursorTrack, keystrokes, range, annotations, framesDir, resolve }
+let pendingEdit = null;
 let tray = null;
 let isQuitting = false;
 let isRecording = false;
-let recordingProcess = null;
 let registeredShortcuts = {};
-let currentTempFile = null;
 let cachedSettings = null;
+// 可选的全局键鼠钩子（uiohook-napi），未安装时为 false
+let inputHook = null;
+let inputHookUsers = 0;
+// 本地控制接口（见 control-server.js），未启用时为 null
+let controlServer = null;
+// 最近一次生成的文件，供控制接口的 /last-file 查询
+let lastOutputFile = null;
+// 录制会话（见 recording-session.js）：抓屏、暂停/继续、停止由它负责，界面通知、托盘、快捷键等通过 hooks 注入
+const recorder = createRecorder({
+  ffmpegPath,
+  hooks: {
+    notify: (channel, ...args) => notifyMainWindow(channel, ...args),
+    updateTray: () => updateTrayMenu(),
+    setRecording: (value) => { isRecording = value; },
+    registerStopShortcut: () => registerStopShortcut(),
+    unregisterStopShortcut: () => unregisterStopShortcut(),
+    onStarted: session => startInputTracking(session),
+    onCaptured: (session, duration) => finishCaptureSession(session, duration),
+    decode: decodeBuffer
+  }
+});
 
 const DEFAULT_SHORTCUTS = {
   fullscreen: 'CommandOrControl+Shift+G',
-  region: 'CommandOrControl+Shift+R'
+  region: 'CommandOrControl+Shift+R',
+  pause: 'CommandOrControl+Shift+P'
 };
 
 function getSettingsPath() {
@@ -214,6 +297,84 @@ function setSavePath(dir) {
   saveSettings(next);
 }
 
+// 隐私遮挡预设：[{ name, region, redactions: [{ x, y, width, height, mode }] }]，坐标为屏幕逻辑像素
+function loadRedactionPresets() {
+  const settings = cachedSettings || loadSettings();
+  return Array.isArray(settings.redactionPresets) ? settings.redactionPresets : [];
+}
+
+function saveRedactionPresets(presets) {
+  saveSettings({ redactionPresets: presets });
+  try {
+    if (mainWindow) mainWindow.webContents.send('redaction-presets-updated', presets);
+  } catch (_) {}
+}
+
+// 导出预设：[{ name, format, width, fps, maxSizeMB, shortcut }]，一次切换输出格式、宽度、帧率和 GIF 大小上限；
+// shortcut 为可选的全局快捷键，按下后切换到该预设并开始录制全屏。从未保存过时使用内置预设
+const DEFAULT_EXPORT_PRESETS = [
+  { name: 'GitHub README GIF（≤10 MB，800px）', format: 'gif', width: 800, fps: 15, maxSizeMB: 10, shortcut: '' },
+  { name: 'Slack（WebP）', format: 'webp', width: 960, fps: 15, maxSizeMB: null, shortcut: '' },
+  { name: 'Twitter/X MP4', format: 'mp4', width: 1280, fps: 30, maxSizeMB: null, shortcut: '' },
+  { name: 'Jira 附件（GIF ≤10 MB）', format: 'gif', width: 960, fps: 12, maxSizeMB: 10, shortcut: '' }
+];
+
+function loadExportPresets() {
+  const settings = cachedSettings || loadSettings();
+  return Array.isArray(settings.exportPresets) ? settings.exportPresets : DEFAULT_EXPORT_PRESETS.map(p => ({ ...p }));
+}
+
+// 保存后重新注册快捷键、刷新托盘菜单和主窗口的预设列表
+function saveExportPresets(presets) {
+  saveSettings({ exportPresets: presets });
+  registerAllShortcuts(loadShortcuts());
+  updateTrayMenu();
+  notifyMainWindow('export-presets-updated', presets);
+}
+
+// 校验导出预设（界面保存和导入共用），无效时抛出说明原因的错误
+function normalizeExportPreset(preset = {}) {
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name) throw new Error('预设名称不能为空');
+  if (name.length > 60) throw new Error('预设名称不能超过 60 个字符');
+  if (!EXPORT_FORMATS.includes(preset.format)) throw new Error(`不支持的格式: ${preset.format}`);
+  const width = Math.round(Number(preset.width));
+  if (!(width >= 320 && width <= 1920)) throw new Error(`宽度无效: ${preset.width}`);
+  const fps = Math.round(Number(preset.fps));
+  if (!(fps >= 1 && fps <= 60)) throw new Error(`帧率无效: ${preset.fps}`);
+  const maxSizeMB = Number(preset.maxSizeMB);
+  return {
+    name,
+    format: preset.format,
+    width,
+    fps,
+    // 大小上限只对 GIF 生效
+    maxSizeMB: preset.format === 'gif' && maxSizeMB >= 0.1 ? Math.min(1000, maxSizeMB) : null,
+    shortcut: typeof preset.shortcut === 'string' ? preset.shortcut.trim() : ''
+  };
+}
+
+// 快捷键是否已被录制快捷键或其他预设占用（exceptName 为正在保存的预设）
+function exportPresetShortcutTaken(shortcut, presets, exceptName) {
+  if (!shortcut) return false;
+  const normalize = value => String(value || '').toLowerCase();
+  return Object.values(loadShortcuts()).some(value => normalize(value) === normalize(shortcut))
+    || presets.some(p => p.name !== exceptName && normalize(p.shortcut) === normalize(shortcut));
+}
+
+// 切换到导出预设（由主窗口更新界面上的参数）；start 为 true 时随后开始录制全屏
+function applyExportPreset(name, start = false) {
+  const preset = loadExportPresets().find(p => p.name === name);
+  if (!preset) {
+    return { success: false, message: `找不到导出预设: ${name}` };
+  }
+  notifyMainWindow('apply-export-preset', preset);
+  if (start && !isRecording && !countdownState) {
+    notifyMainWindow('hotkey-fullscreen');
+  }
+  return { success: true };
+}
+
 function unregisterShortcut(name) {
   try {
     if (registeredShortcuts[name]) {
@@ -225,16 +386,22 @@ function unregisterShortcut(name) {
   }
 }
 
+// 只注销本应用登记过的快捷键，录制/倒计时期间临时注册的 Esc 停止键不受影响
+function unregisterAllShortcuts() {
+  Object.keys(registeredShortcuts).forEach(unregisterShortcut);
+  registeredShortcuts = {};
+}
+
 function registerAllShortcuts(shortcuts) {
   // 清理旧的
-  try { globalShortcut.unregisterAll(); } catch (_) {}
-  registeredShortcuts = {};
+  unregisterAllShortcuts();
 
   // 全屏录制
   if (shortcuts.fullscreen) {
     const ok = globalShortcut.register(shortcuts.fullscreen, () => {
+      logShortcutKeystroke(shortcuts.fullscreen);
       if (mainWindow) {
-        mainWindow.webContents.send('hotkey-fullscreen');
+        notifyMainWindow('hotkey-fullscreen');
       }
     });
     if (ok) registeredShortcuts.fullscreen = shortcuts.fullscreen; else console.error('注册全屏快捷键失败:', shortcuts.fullscreen);
@@ -243,12 +410,89 @@ function registerAllShortcuts(shortcuts) {
   // 区域录制
   if (shortcuts.region) {
     const ok2 = globalShortcut.register(shortcuts.region, () => {
+      logShortcutKeystroke(shortcuts.region);
       if (mainWindow) {
-        mainWindow.webContents.send('hotkey-region');
+        notifyMainWindow('hotkey-region');
       }
     });
     if (ok2) registeredShortcuts.region = shortcuts.region; else console.error('注册区域快捷键失败:', shortcuts.region);
   }
+
+  // 暂停/继续录制
+  if (shortcuts.pause) {
+    const ok3 = globalShortcut.register(shortcuts.pause, () => {
+      logShortcutKeystroke(shortcuts.pause);
+      recorder.togglePause();
+    });
+    if (ok3) registeredShortcuts.pause = shortcuts.pause; else console.error('注册暂停快捷键失败:', shortcuts.pause);
+  }
+
+  // 导出预设的快捷键：切换到该预设并开始录制全屏
+  loadExportPresets().forEach((preset) => {
+    if (!preset.shortcut) return;
+    try {
+      const ok = globalShortcut.register(preset.shortcut, () => {
+        logShortcutKeystroke(preset.shortcut);
+        applyExportPreset(preset.name, true);
+      });
+      if (ok) registeredShortcuts[`preset:${preset.name}`] = preset.shortcut; else console.error('注册导出预设快捷键失败:', preset.shortcut);
+    } catch (e) {
+      // 导入的预设可能带有当前平台无效的快捷键
+      console.error('注册导出预设快捷键失败:', e && e.message ? e.message : e);
+    }
+  });
+}
+
+// 录制期间临时注册 Esc 作为全局停止键，录制结束后注销，避免长期占用 Esc
+function registerStopShortcut() {
+  try {
+    if (!globalShortcut.isRegistered('Esc')) {
+      globalShortcut.register('Esc', () => {
+        logShortcutKeystroke('Esc');
+        requestStopRecording();
+      });
+    }
+  } catch (e) {
+    console.error('注册 Esc 停止键失败:', e && e.message ? e.message : e);
+  }
+}
+
+function unregisterStopShortcut() {
+  try { globalShortcut.unregister('Esc'); } catch (_) {}
+}
+
+// 停止当前录制：倒计时直接取消，延时摄影提前合成，其余交给录制会话（见 recording-session.js 的 stop）
+function requestStopRecording() {
+  if (countdownState) {
+    cancelCountdown();
+    return { success: true, cancelled: true };
+  }
+  if (timelapseSession) {
+    // 提前结束延时摄影，已拍摄的帧照常合成
+    stopTimelapse(timelapseSession);
+    return { success: true, finishing: true };
+  }
+  return recorder.stop();
+}
+
+// 动图写入剪贴板时使用的 MIME 类型（APNG 默认以 .png 保存，命令行 --output 指定 .apng 时按扩展名识别）
+const CLIPBOARD_IMAGE_TYPES = {
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.avif': 'image/avif'
+};
+
+// APNG 在第一个 IDAT 块之前有 acTL（动画控制）块
+function isAnimatedPng(filePath) {
+  try {
+    const buf = fs.readFileSync(filePath);
+    const actl = buf.indexOf('acTL');
+    return actl >= 0 && actl < buf.indexOf('IDAT');
+  } catch (_) {
+    return false;
+  }
 }
 
 // 尝试把图片文件复制到剪贴板，优先使用 nativeImage.createFromPath，回退 createFromBuffer，最后尝试用 FFmpeg 提取第一帧为 PNG 再复制
@@ -256,16 +500,18 @@ function copyImageFileToClipboard(filePath) {
   try {
     if (!fs.existsSync(filePath)) return false;
     const ext = path.extname(filePath).toLowerCase();
+    const mimeType = CLIPBOARD_IMAGE_TYPES[ext];
 
-    // 如果是 GIF，优先尝试把原始 GIF bytes 写入 clipboard 的 image/gif 格式
-    if (ext === '.gif') {
+    // 如果是动图，优先尝试把原始文件 bytes 以对应的 MIME 类型写入 clipboard，保留动画；
+    // 静态 PNG 仍按位图复制，兼容更多应用
+    if (mimeType && (ext !== '.png' || isAnimatedPng(filePath))) {
       try {
         const buf = fs.readFileSync(filePath);
         try {
-          clipboard.writeBuffer('image/gif', buf);
-          console.log('已将原始 GIF bytes 写入剪贴板 (image/gif):', filePath);
+          clipboard.writeBuffer(mimeType, buf);
+          console.log(`已将原始文件 bytes 写入剪贴板 (${mimeType}):`, filePath);
         } catch (e) {
-          console.error('写入 image/gif 失败:', e && e.message ? e.message : e);
+          console.error(`写入 ${mimeType} 失败:`, e && e.message ? e.message : e);
         }
 
         // 尝试把文件名写入 Windows 的 FileNameW（UCS-2 little endian）以支持文件粘贴的应用
@@ -286,10 +532,10 @@ function copyImageFileToClipboard(filePath) {
           console.error('写入文件名相关剪贴板格式失败:', e && e.message ? e.message : e);
         }
 
-        // 如果至少写入 image/gif 成功，我们认为复制成功（即使某些目标应用可能不读取该格式）
+        // 如果至少写入原始 bytes 成功，我们认为复制成功（即使某些目标应用可能不读取该格式）
         return true;
       } catch (e) {
-        console.error('读取 GIF 文件失败:', e && e.message ? e.message : e);
+        console.error('读取动图文件失败:', e && e.message ? e.message : e);
       }
     }
 
@@ -331,9 +577,12 @@ function copyImageFileToClipboard(filePath) {
       const tmpPng = path.join(os.tmpdir(), `gif-frame-${Date.now()}.png`);
       const args = ['-y', '-i', filePath, '-vframes', '1', tmpPng];
       console.log('尝试用 FFmpeg 提取第一帧为 PNG:', ffmpegPath, args.join(' '));
-      const res = spawnSync(ffmpegPath, args, { stdio: 'inherit' });
+      // 输出只在失败时记录，不直接写到终端（命令行模式下会混进结果输出）
+      const res = spawnSync(ffmpegPath, args, { stdio: 'pipe' });
       if (res && res.error) {
         console.error('FFmpeg 提取帧失败:', res.error && res.error.message ? res.error.message : res.error);
+      } else if (res && res.status !== 0) {
+        console.error(`FFmpeg 提取帧失败，退出码: ${res.status}`, decodeBuffer(res.stderr || Buffer.alloc(0)).trim().split(/\r?\n/).slice(-3).join('\n'));
       }
       if (fs.existsSync(tmpPng)) {
         try {
@@ -358,6 +607,642 @@ function copyImageFileToClipboard(filePath) {
   return false;
 }
 
+// 按需加载全局键鼠钩子，用于记录鼠标点击
+function getInputHook() {
+  if (inputHook === null) {
+    try {
+      inputHook = require('uiohook-napi').uIOhook;
+    } catch (e) {
+      console.log('未安装 uiohook-napi，无法记录全局鼠标点击/按键');
+      inputHook = false;
+    }
+  }
+  return inputHook || null;
+}
+
+function acquireInputHook() {
+  const hook = getInputHook();
+  if (!hook) return null;
+  try {
+    if (inputHookUsers === 0) hook.start();
+    inputHookUsers++;
+    return hook;
+  } catch (e) {
+    console.error('启动键鼠钩子失败:', e && e.message ? e.message : e);
+    return null;
+  }
+}
+
+function releaseInputHook() {
+  if (!inputHook || inputHookUsers === 0) return;
+  inputHookUsers--;
+  if (inputHookUsers === 0) {
+    try { inputHook.stop(); } catch (_) {}
+  }
+}
+
+// 录制期间的键鼠记录：鼠标轨迹/点击坐标按所在显示器换算为录制画面像素，
+// 按键记录为 session.keystrokes；会话结束后自动停止
+function startInputTracking(session) {
+  const { options } = session;
+  const trackCursor = options.highlightCursor || options.showClicks;
+  if (!trackCursor && !options.showKeystrokes) return;
+
+  const origin = options.captureOrigin || { x: 0, y: 0 };
+  const toFrame = (point) => {
+    const p = dipToCapturePoint(point);
+    return { x: p.x - origin.x, y: p.y - origin.y };
+  };
+  const track = { fps: options.fps, highlight: !!options.highlightCursor, samples: [], clicks: [] };
+  if (trackCursor) session.cursorTrack = track;
+  if (options.showKeystrokes) session.keystrokes = [];
+
+  const listeners = {};
+  if (options.showClicks) {
+    listeners.mousedown = () => {
+      const t = recorder.captureTime(session);
+      if (t === null) return;
+      track.clicks.push({ t, ...toFrame(screen.getCursorScreenPoint()) });
+    };
+  }
+  if (options.showKeystrokes) {
+    listeners.keydown = (e) => {
+      const label = keyEventLabel(e);
+      if (label) recordKeystroke(session, label);
+    };
+  }
+  const hook = Object.keys(listeners).length > 0 ? acquireInputHook() : null;
+  if (hook) {
+    Object.entries(listeners).forEach(([name, fn]) => hook.on(name, fn));
+  }
+
+  let last = null;
+  const timer = setInterval(() => {
+    // 会话结束（完成、失败或取消）后自动停止记录
+    if (recorder.current() !== session) {
+      clearInterval(timer);
+      if (hook) {
+        Object.entries(listeners).forEach(([name, fn]) => hook.removeListener(name, fn));
+        releaseInputHook();
+      }
+      return;
+    }
+    if (!track.highlight) return;
+    const t = recorder.captureTime(session);
+    if (t === null) return;
+    const point = toFrame(screen.getCursorScreenPoint());
+    // 只记录位置变化，sendcmd 会保持上一次的位置
+    if (last && last.x === point.x && last.y === point.y) return;
+    last = point;
+    track.samples.push({ t, ...point });
+  }, Math.max(33, Math.round(1000 / (options.fps || 15))));
+}
+
+// uiohook 键码 -> 显示名称
+let keyNames = null;
+const KEY_DISPLAY_NAMES = {
+  Escape: 'Esc',
+  Backspace: '⌫',
+  Enter: '⏎',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Semicolon: ';',
+  Equal: '=',
+  Comma: ',',
+  Minus: '-',
+  Period: '.',
+  Slash: '/',
+  Backquote: '`',
+  BracketLeft: '[',
+  Backslash: '\\',
+  BracketRight: ']',
+  Quote: "'"
+};
+
+function keyEventLabel(e) {
+  if (!keyNames) {
+    keyNames = {};
+    try {
+      const { UiohookKey } = require('uiohook-napi');
+      Object.entries(UiohookKey).forEach(([name, code]) => {
+        if (keyNames[code] === undefined) keyNames[code] = name;
+      });
+    } catch (_) {}
+  }
+  const name = keyNames[e.keycode];
+  // 单独按下修饰键不显示
+  if (!name || /^(Ctrl|Alt|Shift|Meta)/.test(name)) return null;
+  const modifiers = [];
+  if (e.ctrlKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  if (e.metaKey) modifiers.push(process.platform === 'darwin' ? 'Cmd' : 'Win');
+  return [...modifiers, KEY_DISPLAY_NAMES[name] || name].join('+');
+}
+
+// 把 Electron 快捷键（如 CommandOrControl+Shift+G）转换为与 keyEventLabel 一致的显示格式
+function acceleratorLabel(accelerator) {
+  const isMac = process.platform === 'darwin';
+  const aliases = {
+    CommandOrControl: isMac ? 'Cmd' : 'Ctrl',
+    CmdOrCtrl: isMac ? 'Cmd' : 'Ctrl',
+    Control: 'Ctrl',
+    Command: 'Cmd',
+    Cmd: 'Cmd',
+    Option: 'Alt',
+    Super: isMac ? 'Cmd' : 'Win',
+    Meta: isMac ? 'Cmd' : 'Win'
+  };
+  const order = ['Ctrl', 'Alt', 'Shift', 'Cmd', 'Win'];
+  const parts = String(accelerator).split('+').map(part => aliases[part] || part);
+  const modifiers = order.filter(m => parts.includes(m));
+  const keys = parts.filter(part => !order.includes(part));
+  return [...modifiers, ...keys].join('+');
+}
+
+// 记录一次按键：连续输入的普通字符合并为一条，同一按键被钩子和全局快捷键重复上报时只记一次
+function recordKeystroke(session, label) {
+  if (!session || !session.keystrokes) return;
+  const t = recorder.captureTime(session);
+  if (t === null) return;
+  const previous = session.keystrokes[session.keystrokes.length - 1];
+  const isChar = label.length === 1;
+  if (previous && !isChar && previous.label === label && t - previous.last < 0.3) return;
+  if (previous && isChar && previous.typing && t - previous.last < 1 && previous.label.length < 24) {
+    previous.label += label;
+    previous.last = t;
+    return;
+  }
+  session.keystrokes.push({ t, last: t, label, typing: isChar });
+}
+
+// 本应用的全局快捷键会被系统拦截，单独记入按键记录
+function logShortcutKeystroke(accelerator) {
+  const session = recorder.current();
+  if (session && session.options.showKeystrokes) {
+    recordKeystroke(session, acceleratorLabel(accelerator));
+  }
+}
+
+// 用户在剪辑窗口中放弃本次录制
+function discardCapture(session) {
+  try {
+    if (fs.existsSync(session.tempFile)) {
+      fs.unlinkSync(session.tempFile);
+    }
+  } catch (_) {}
+  try { mainWindow.show(); mainWindow.focus(); } catch (_) {}
+  notifyMainWindow('recording-discarded');
+  session.resolve({ success: false, cancelled: true, message: '已放弃本次录制' });
+}
+
+// ---------- 导出队列 ----------
+// 抓屏的 FFmpeg 结束后立即释放录制状态，格式转换作为后台任务排队依次执行（一次一个，避免多个 FFmpeg
+// 同时抢占 CPU），期间可以开始新的录制。任务可以取消，失败或取消后可以重试：任务用到的临时文件、
+// 标注图片等保留到任务成功或从列表中移除为止。
+// 任务：{ id, label, status, progress, detail, message, createdAt, processes, run(job), cleanup(), onSuccess(result), onFailure(message) }
+//   status  queued 排队中 / running 转换中 / done 已完成 / failed 失败 / cancelled 已取消
+const EXPORT_JOB_STATUS_TEXT = { queued: '排队中', running: '转换中', done: '已完成', failed: '失败', cancelled: '已取消' };
+// 列表中最多保留的已完成任务，更早的自动移除
+const MAX_FINISHED_EXPORT_JOBS = 20;
+// 正在执行的导出任务，转换过程中启动的 FFmpeg 进程据此登记到任务上（见 trackExportProcess）
+const exportJobContext = new AsyncLocalStorage();
+let exportJobs = [];
+let exportQueueRunning = false;
+
+function exportJobForRenderer(job) {
+  return {
+    id: job.id,
+    label: job.label,
+    status: job.status,
+    statusText: EXPORT_JOB_STATUS_TEXT[job.status],
+    progress: job.progress,
+    detail: job.detail,
+    message: job.message,
+    outputs: job.outputs,
+    createdAt: job.createdAt
+  };
+}
+
+function pendingExportJobCount() {
+  return exportJobs.filter(job => job.status === 'queued' || job.status === 'running').length;
+}
+
+function notifyExportJobs() {
+  notifyMainWindow('export-jobs-updated', exportJobs.map(exportJobForRenderer));
+}
+
+// 更新任务状态。托盘菜单只在状态变化或进度每过 10% 时重建
+function updateExportJob(job, patch) {
+  const before = { status: job.status, step: Math.floor(job.progress / 10) };
+  Object.assign(job, patch);
+  notifyExportJobs();
+  if (job.status !== before.status || Math.floor(job.progress / 10) !== before.step) updateTrayMenu();
+}
+
+// 登记导出任务中启动的 FFmpeg 进程，取消任务时一并结束；不在导出任务中（如重新导出窗口）时不做处理
+function trackExportProcess(proc) {
+  const job = exportJobContext.getStore();
+  if (!job) return;
+  job.processes.add(proc);
+  proc.on('close', () => job.processes.delete(proc));
+}
+
+function enqueueExportJob(job) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: 'queued',
+    progress: 0,
+    detail: null,
+    message: null,
+    outputs: null,
+    createdAt: Date.now(),
+    processes: new Set(),
+    cleanup: () => {},
+    onSuccess: () => {},
+    onFailure: () => {},
+    ...job
+  };
+  exportJobs.push(entry);
+  const finished = exportJobs.filter(item => item.status === 'done');
+  if (finished.length > MAX_FINISHED_EXPORT_JOBS) {
+    const dropped = finished.slice(0, finished.length - MAX_FINISHED_EXPORT_JOBS);
+    exportJobs = exportJobs.filter(item => !dropped.includes(item));
+  }
+  notifyExportJobs();
+  updateTrayMenu();
+  processExportQueue();
+  return entry;
+}
+
+// 依次执行排队中的任务。任务的回调和清理出错只记录日志，不影响任务状态，也不会中断队列中的其他任务
+async function processExportQueue() {
+  if (exportQueueRunning) return;
+  exportQueueRunning = true;
+  try {
+    let job;
+    while ((job = exportJobs.find(item => item.status === 'queued'))) {
+      job.cancelRequested = false;
+      updateExportJob(job, { status: 'running', progress: 0, detail: null, message: null });
+      const current = job;
+      let result;
+      try {
+        result = await exportJobContext.run(current, () => current.run(current));
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        if (job.cancelRequested) {
+          console.log('导出任务已取消:', job.label);
+          updateExportJob(job, { status: 'cancelled', detail: null });
+        } else {
+          console.error('导出失败:', message);
+          updateExportJob(job, { status: 'failed', detail: null, message });
+        }
+        try {
+          job.onFailure(job.cancelRequested ? '导出已取消' : message);
+        } catch (e) {
+          console.error('导出失败回调出错:', e && e.message ? e.message : e);
+        }
+        continue;
+      }
+      updateExportJob(job, { status: 'done', progress: 100, detail: null, outputs: result && result.outputs ? result.outputs : null });
+      try {
+        job.onSuccess(result);
+      } catch (e) {
+        console.error('导出完成回调出错:', e && e.message ? e.message : e);
+      }
+      try {
+        cleanupExportJob(job);
+      } catch (e) {
+        console.error('清理导出任务失败:', e && e.message ? e.message : e);
+      }
+    }
+  } finally {
+    exportQueueRunning = false;
+  }
+}
+
+// 删除任务保留的临时文件（只做一次）
+function cleanupExportJob(job) {
+  if (job.cleanedUp) return;
+  job.cleanedUp = true;
+  job.cleanup();
+}
+
+function findExportJob(id) {
+  return exportJobs.find(job => job.id === id) || null;
+}
+
+function cancelExportJob(id) {
+  const job = findExportJob(id);
+  if (!job || (job.status !== 'queued' && job.status !== 'running')) {
+    return { success: false, message: '任务已结束，无法取消' };
+  }
+  if (job.status === 'queued') {
+    job.cancelRequested = true;
+    updateExportJob(job, { status: 'cancelled' });
+    job.onFailure('导出已取消');
+    return { success: true };
+  }
+  // 结束正在运行的 FFmpeg，转换随之失败，由 processExportQueue 记为已取消
+  job.cancelRequested = true;
+  job.processes.forEach((proc) => {
+    try { proc.kill('SIGTERM'); } catch (_) {}
+  });
+  return { success: true };
+}
+
+function retryExportJob(id) {
+  const job = findExportJob(id);
+  if (!job || (job.status !== 'failed' && job.status !== 'cancelled')) {
+    return { success: false, message: '只能重试失败或已取消的任务' };
+  }
+  updateExportJob(job, { status: 'queued', progress: 0, detail: null, message: null });
+  processExportQueue();
+  return { success: true };
+}
+
+// 从列表中移除已结束的任务，同时删除为重试保留的临时文件
+function removeExportJob(id) {
+  const job = findExportJob(id);
+  if (!job || job.status === 'queued' || job.status === 'running') {
+    return { success: false, message: '请先取消任务' };
+  }
+  cleanupExportJob(job);
+  exportJobs = exportJobs.filter(item => item !== job);
+  notifyExportJobs();
+  updateTrayMenu();
+  return { success: true };
+}
+
+// 退出应用时结束正在进行的转换，并清理所有任务保留的临时文件
+function cleanupExportJobs() {
+  exportJobs.forEach((job) => {
+    job.cancelRequested = true;
+    job.processes.forEach((proc) => {
+      try { proc.kill('SIGTERM'); } catch (_) {}
+    });
+    try { cleanupExportJob(job); } catch (_) {}
+  });
+}
+
+// 抓屏结束（录制状态已由录制会话释放）：拼接分段（需要时先打开剪辑窗口），再把格式转换加入导出队列。
+// duration 为转换用的时长，不定长录制为实际录到的时长
+function finishCaptureSession(session, duration) {
+  const { options, tempFile, outputFile } = session;
+  let convertDuration = duration;
+  // 剪辑窗口的结果：{ start, end, duration, annotations } 裁剪范围与标注，或 { frames, framesDir } 逐帧编辑结果
+  let editResult = null;
+  // 整理后的标注 { annotations, dir }
+  let prepared = { annotations: [], dir: null };
+  // 保留的无损母版（见 saveCaptureMaster），重试时直接从母版转换
+  let masterFile = null;
+  // 主输出和额外输出（见 captureOutputTargets）
+  const targets = captureOutputTargets(options, outputFile);
+
+  console.log('录制完成，开始转换...');
+
+  recorder.joinSegments(session.segments, tempFile)
+    .then(() => {
+      if (!options.editAfterCapture) return true;
+      // 先在剪辑窗口中确认导出范围，裁剪直接作用于临时 MP4
+      notifyMainWindow('recording-editing');
+      const editInfo = { duration: convertDuration, fps: options.fps, width: options.width, format: options.format, cursorTrack: session.cursorTrack, keystrokes: session.keystrokes };
+      return openEditorWindow(tempFile, editInfo).then((result) => {
+        if (!result) return false;
+        editResult = result;
+        // 逐帧编辑已经给出最终帧序列，不再裁剪
+        if (result.frames) return true;
+        return trimVideo(tempFile, result.start, result.end, result.duration || convertDuration, !!options.keepMaster).then((trimmedDuration) => {
+          convertDuration = trimmedDuration;
+          // 标注时间以原始录制为准，裁剪后需减去入点
+          prepared = prepareAnnotations(result.annotations, result.start || 0);
+          return true;
+        });
+      });
+    })
+    .then((proceed) => {
+      if (!proceed) {
+        discardCapture(session);
+        return;
+      }
+
+      // 鼠标高亮/点击、按键显示与标注一起合成（逐帧编辑的结果已经是最终画面，只有保存母版时才需要）
+      const frames = editResult && editResult.frames ? editResult : null;
+      const recordedEffects = frames && !options.keepMaster ? { annotations: [], dirs: [] } : prepareRecordedEffects(session, editResult ? editResult.start || 0 : 0);
+      const annotations = [...recordedEffects.annotations, ...prepared.annotations];
+
+      const run = (job) => {
+        const onProgress = percent => updateExportJob(job, { progress: percent });
+        const onStage = detail => updateExportJob(job, { detail });
+        if (frames) {
+          // 逐帧编辑只生成主输出 GIF，额外输出无法套用对帧的修改，逐个记入 failed
+          const skipped = targets.slice(1).map(target => ({ format: target.format, filePath: target.filePath, message: '逐帧编辑后只生成主输出' }));
+          const encodeFrames = () => encodeFramesToGif(frames.frames, frames.framesDir, outputFile, percent => onProgress((percent - 50) * 2), {
+            maxBytes: megabytesToBytes(targets[0].maxSizeMB),
+            onBudgetAttempt: attempt => onStage(`压缩 GIF 第 ${attempt.attempt}/${attempt.total} 次（${attempt.width}px · ${attempt.maxColors} 色）`)
+          }).then(optimization => ({
+            outputs: [{ format: options.format, width: optimization ? optimization.width : options.width, fps: options.fps, filePath: outputFile, optimization }],
+            failed: skipped
+          }));
+          if (!options.keepMaster || (masterFile && fs.existsSync(masterFile))) return encodeFrames();
+          // 母版保存录制本身（不含逐帧修改），之后可从录制历史重新导出；保存失败时照常生成 GIF
+          onStage('正在保存无损母版');
+          return saveCaptureMaster(tempFile, outputFile, options, convertDuration, recordedEffects.annotations)
+            .then((savedMaster) => {
+              masterFile = savedMaster;
+            }, (err) => {
+              if (job.cancelRequested) throw err;
+              console.error('保存无损母版失败:', err && err.message ? err.message : err);
+            })
+            .then(encodeFrames);
+        }
+        if (!options.keepMaster) {
+          return convertCaptureOutputs(tempFile, targets, convertDuration, { annotations, onProgress, onStage });
+        }
+        if (masterFile && fs.existsSync(masterFile)) {
+          return convertCaptureOutputs(masterFile, targets, convertDuration, { onProgress, onStage });
+        }
+        // 先存母版（效果一并烧录），成品再从母版转换；母版保存失败时照常从临时文件导出
+        onStage('正在保存无损母版');
+        return saveCaptureMaster(tempFile, outputFile, options, convertDuration, annotations)
+          .then((savedMaster) => {
+            masterFile = savedMaster;
+            return convertCaptureOutputs(masterFile, targets, convertDuration, { onProgress, onStage });
+          }, (err) => {
+            if (job.cancelRequested) throw err;
+            console.error('保存无损母版失败:', err && err.message ? err.message : err);
+            return convertCaptureOutputs(tempFile, targets, convertDuration, { annotations, onProgress, onStage });
+          });
+      };
+
+      // 成品是否已经生成；未成功就被移除的任务连同母版一起删除
+      let exported = false;
+      // 任务成功或被移除时才删除，失败后可以重试
+      const cleanup = () => {
+        if (!exported && masterFile && fs.existsSync(masterFile)) {
+          try { fs.unlinkSync(masterFile); } catch (_) {}
+        }
+        removeTempDir(prepared.dir);
+        recordedEffects.dirs.forEach(removeTempDir);
+        if (frames) removeTempDir(frames.framesDir);
+        if (fs.existsSync(tempFile)) {
+          try { fs.unlinkSync(tempFile); } catch (_) {}
+        }
+      };
+
+      const onSuccess = ({ outputs, failed }) => {
+        exported = true;
+        // 主输出设置了 GIF 体积上限时为优化报告，否则为空
+        const optimization = outputs[0].optimization;
+        outputs.forEach((output) => {
+          if (output.optimization && !output.optimization.fits) {
+            console.log(`GIF 无法压缩到 ${(output.optimization.maxBytes / 1000 / 1000).toFixed(1)} MB 以内，已保留最小的结果: ${output.filePath}`);
+          }
+          try { output.size = fs.statSync(output.filePath).size; } catch (_) { output.size = 0; }
+        });
+        // 每个输出各占一条历史记录，共用同一个母版
+        outputs.forEach((output) => {
+          addHistoryEntry(output.filePath, {
+            format: output.format,
+            duration: convertDuration,
+            region: options.region || null,
+            window: options.windowSource ? options.windowSource.name : null,
+            width: output.width,
+            fps: output.fps,
+            masterFile
+          });
+        });
+        notifyMainWindow('recording-completed', { filePath: outputFile, optimization, outputs, failed });
+        // clipboard/revealOutput 为 false 时（如命令行模式）由调用方自行处理
+        if (ANIMATED_IMAGE_FORMATS.includes(options.format)) {
+          // 自动复制到剪贴板（保护性 try/catch）
+          if (options.clipboard !== false) {
+            try { autoCopyToClipboard(outputFile); } catch (e) { console.error('自动复制到剪贴板失败:', e && e.message ? e.message : e); }
+          }
+        } else if (options.revealOutput !== false && !isRecording && !countdownState) {
+          // 对于视频格式，不需要复制到剪贴板，而是直接打开保存地址（正在录制下一段时不弹出，以免被录进画面）
+          try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
+        }
+        session.resolve({ success: true, filePath: outputFile, optimization, outputs, failed });
+      };
+
+      const onFailure = (message) => {
+        notifyMainWindow('recording-error', message, { exportFailed: true });
+        session.reject({ success: false, message, exportFailed: true });
+      };
+
+      const label = targets.length > 1 ? `${path.basename(outputFile)} 等 ${targets.length} 个文件` : path.basename(outputFile);
+      enqueueExportJob({ label, run, cleanup, onSuccess, onFailure });
+      // 录制结束后显示窗口，转换进度显示在导出队列中（已经开始下一段录制时不显示）
+      if (!isRecording && !countdownState) {
+        try { mainWindow.show(); mainWindow.focus(); } catch (_) {}
+      }
+    })
+    .catch((err) => {
+      recorder.fail(session, err.message);
+    });
+}
+
+// 一次录制最多额外生成的输出个数
+const MAX_EXTRA_OUTPUTS = 3;
+
+// 校验额外输出：[{ format, width, fps, maxSizeMB }]，width 为空时保持录制的原始尺寸，fps 为空时与主输出相同，
+// maxSizeMB 只对 GIF 生效。无效时抛出说明原因的错误
+function normalizeExtraOutputs(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error('extraOutputs 必须是数组');
+  if (list.length > MAX_EXTRA_OUTPUTS) throw new Error(`最多只能额外生成 ${MAX_EXTRA_OUTPUTS} 个输出`);
+  return list.map((output) => {
+    const item = output || {};
+    if (!EXPORT_FORMATS.includes(item.format)) throw new Error(`不支持的格式: ${item.format}`);
+    const width = item.width ? Math.round(Number(item.width)) : null;
+    if (width !== null && !(width >= 16 && width <= 7680)) throw new Error(`宽度无效: ${item.width}`);
+    const fps = item.fps ? Math.round(Number(item.fps)) : null;
+    if (fps !== null && !(fps >= 1 && fps <= 60)) throw new Error(`帧率无效: ${item.fps}`);
+    const maxSizeMB = Number(item.maxSizeMB);
+    return { format: item.format, width, fps, maxSizeMB: item.format === 'gif' && maxSizeMB >= 0.1 ? maxSizeMB : null };
+  });
+}
+
+// 一次录制的全部输出 [{ format, width, fps, maxSizeMB, filePath }]：录制参数本身的主输出在前，之后是额外输出。
+// 额外输出与主输出同名、只换扩展名；与已有文件重名时加上宽度（原始尺寸为 full）区分
+function captureOutputTargets(options, outputFile) {
+  const dir = path.dirname(outputFile);
+  const baseName = path.basename(outputFile, path.extname(outputFile));
+  const used = new Set([outputFile]);
+  const targets = [{
+    format: options.format,
+    width: options.width,
+    fps: options.fps,
+    maxSizeMB: options.format === 'gif' ? options.maxSizeMB || null : null,
+    filePath: outputFile
+  }];
+  (options.extraOutputs || []).forEach((output) => {
+    const ext = formatExtension(output.format);
+    const suffixed = `${baseName}-${output.width ? `${output.width}px` : 'full'}`;
+    let filePath = path.join(dir, `${baseName}.${ext}`);
+    for (let i = 0; used.has(filePath) || fs.existsSync(filePath); i++) {
+      filePath = path.join(dir, i === 0 ? `${suffixed}.${ext}` : `${suffixed}-${i}.${ext}`);
+    }
+    used.add(filePath);
+    targets.push({ ...output, fps: output.fps || options.fps, filePath });
+  });
+  return targets;
+}
+
+// 按顺序生成各个输出（依次运行，避免多个 FFmpeg 同时抢占 CPU），进度按输出个数均分。
+// options: { annotations, onProgress(0~100), onStage(说明文字) }。
+// 主输出失败时整体失败；额外输出失败只记录在 failed 中，不影响已生成的文件。
+// 返回 { outputs: [{ format, width, fps, filePath, optimization }], failed: [{ format, filePath, message }] }
+async function convertCaptureOutputs(inputFile, targets, duration, { annotations = [], onProgress = () => {}, onStage = () => {} } = {}) {
+  const outputs = [];
+  const failed = [];
+  let sourceWidth = null;
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    let width = target.width;
+    if (!width) {
+      // 原始尺寸：读取一次录制文件的宽度
+      if (sourceWidth === null) sourceWidth = probeVideoInfo(inputFile).width || targets[0].width;
+      width = sourceWidth;
+    }
+    const stage = targets.length > 1 ? `第 ${i + 1}/${targets.length} 个文件（${target.format.toUpperCase()}，${width}px）` : '';
+    onStage(stage || null);
+    // GIF 体积上限（见 encodeGifWithinBudget）
+    const maxBytes = target.format === 'gif' ? megabytesToBytes(target.maxSizeMB) : null;
+    try {
+      const result = await convertToFormat(inputFile, target.filePath, target.format, width, target.fps, duration, {
+        annotations,
+        maxBytes,
+        onBudgetAttempt: attempt => onStage(`${stage ? `${stage}：` : ''}压缩 GIF 第 ${attempt.attempt}/${attempt.total} 次（${attempt.fps} FPS · ${attempt.width}px · ${attempt.maxColors} 色）`),
+        onProgress: percent => onProgress(Math.round((i + (percent - 50) / 50) * 100 / targets.length))
+      });
+      const optimization = maxBytes && result ? result : null;
+      outputs.push({
+        format: target.format,
+        width: optimization ? optimization.width : width,
+        fps: optimization ? optimization.fps : target.fps,
+        filePath: target.filePath,
+        optimization
+      });
+    } catch (err) {
+      // 任务被取消时删除写了一半的文件；主输出失败或任务被取消时整体失败
+      const cancelled = !!(exportJobContext.getStore() || {}).cancelRequested;
+      if (cancelled) {
+        try { if (fs.existsSync(target.filePath)) fs.unlinkSync(target.filePath); } catch (_) {}
+      }
+      if (i === 0 || cancelled) throw err;
+      const message = err && err.message ? err.message : String(err);
+      console.error(`生成额外输出失败 (${target.format}):`, message);
+      try { if (fs.existsSync(target.filePath)) fs.unlinkSync(target.filePath); } catch (_) {}
+      failed.push({ format: target.format, filePath: target.filePath, message });
+    }
+  }
+  return { outputs, failed };
+}
+
 // 自动复制到剪贴板的辅助函数
 function autoCopyToClipboard(filePath) {
   // 添加延迟确保文件完全写入
@@ -382,132 +1267,431 @@ function autoCopyToClipboard(filePath) {
   }, 1000); // 延迟1秒
 }
 
-// 转换格式函数
-function convertToFormat(inputFile, outputFile, format, width, fps, duration) {
-  return new Promise((resolve, reject) => {
-    let convertArgs = [];
-    
-    if (format === 'gif') {
-      // 生成调色板
-      const paletteFile = inputFile.replace('.mp4', '-palette.png');
-      const paletteArgs = ['-i', inputFile, '-vf', `fps=${fps},scale=${width}:-1:flags=lanczos,palettegen`, '-y', paletteFile];
-      
-      console.log('生成调色板命令:', ffmpegPath, paletteArgs.join(' '));
-      
-      const paletteProcess = spawn(ffmpegPath, paletteArgs);
-      
-      paletteProcess.on('close', (code) => {
-        if (code === 0) {
-          // 使用调色板生成GIF
-          convertArgs = [
-            '-i', inputFile,
-            '-i', paletteFile,
-            '-filter_complex', `fps=${fps},scale=${width}:-1:flags=lanczos[x];[x][1:v]paletteuse`,
-            '-y', outputFile
-          ];
-          
-          console.log('转换GIF命令:', ffmpegPath, convertArgs.join(' '));
-          
-          const gifProcess = spawn(ffmpegPath, convertArgs);
-          let stderr = '';
-          
-          gifProcess.stderr.on('data', (data) => {
-            const chunk = Buffer.isBuffer(data) ? decodeBuffer(data) : String(data);
-            stderr += chunk;
-            const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-            if (progressMatch) {
-              const hours = parseInt(progressMatch[1]);
-              const minutes = parseInt(progressMatch[2]);
-              const seconds = parseFloat(progressMatch[3]);
-              const totalSeconds = hours * 3600 + minutes * 60 + seconds;
-              const percent = 50 + Math.min(Math.round((totalSeconds / duration) * 50), 50); // 转换占50%
-              mainWindow.webContents.send('recording-progress', percent);
-            }
-          });
-          
-          gifProcess.on('close', (code) => {
-            // 清理调色板文件
-            if (fs.existsSync(paletteFile)) {
-              fs.unlinkSync(paletteFile);
-            }
-            
-            if (code === 0) {
-              console.log('GIF转换完成');
-              resolve();
-            } else {
-              reject(new Error(`GIF转换失败，退出码: ${code}`));
-            }
-          });
-          
-          gifProcess.on('error', (err) => {
-            reject(err);
-          });
-        } else {
-          reject(new Error(`调色板生成失败，退出码: ${code}`));
-        }
-      });
-      
-      paletteProcess.on('error', (err) => {
-        reject(err);
-      });
-      
-    } else if (format === 'webm') {
-      convertArgs = [
-        '-i', inputFile,
-        '-c:v', 'libvpx-vp9',
-        '-crf', '10',
-        '-b:v', '0',
-        '-vf', `scale=${width}:-1`,
-        '-pix_fmt', 'yuva420p',
-        '-y', outputFile
-      ];
-      
-      console.log('转换WebM命令:', ffmpegPath, convertArgs.join(' '));
-      
-      const convertProcess = spawn(ffmpegPath, convertArgs);
-      let stderr = '';
-      
-      convertProcess.stderr.on('data', (data) => {
-        const chunk = Buffer.isBuffer(data) ? decodeBuffer(data) : String(data);
-        stderr += chunk;
-        const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-        if (progressMatch) {
-          const hours = parseInt(progressMatch[1]);
-          const minutes = parseInt(progressMatch[2]);
-          const seconds = parseFloat(progressMatch[3]);
-          const totalSeconds = hours * 3600 + minutes * 60 + seconds;
-          const percent = 50 + Math.min(Math.round((totalSeconds / duration) * 50), 50);
-          mainWindow.webContents.send('recording-progress', percent);
-        }
-      });
-      
-      convertProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log('WebM转换完成');
-          resolve();
-        } else {
-          reject(new Error(`WebM转换失败，退出码: ${code}`));
-        }
-      });
-      
-      convertProcess.on('error', (err) => {
-        reject(err);
-      });
-    } else {
-      reject(new Error(`不支持的格式: ${format}`));
-    }
-  });
+// GIF 编码设置（字段说明见 format-converter.js 的 DEFAULT_GIF_ENCODING_SETTINGS）
+function loadGifEncodingSettings() {
+  const settings = cachedSettings || loadSettings();
+  return { ...DEFAULT_GIF_ENCODING_SETTINGS, ...(settings.gifEncoding || {}) };
 }
 
-// 创建主窗口
-function createMainWindow() {
-  mainWindow = new BrowserWindow({
-    width: 480,
-    height: 680,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
-    },
+// 校验并补全设置页传来的 GIF 编码设置，无效的字段保留 current 中的值
+function normalizeGifEncodingSettings(next = {}, current = DEFAULT_GIF_ENCODING_SETTINGS) {
+  const integerIn = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) && value !== null && value !== '' ? Math.min(max, Math.max(min, number)) : fallback;
+  };
+  return {
+    dither: GIF_DITHERS.includes(next.dither) ? next.dither : current.dither,
+    bayerScale: integerIn(next.bayerScale, 0, 5, current.bayerScale),
+    statsMode: GIF_STATS_MODES.includes(next.statsMode) ? next.statsMode : current.statsMode,
+    maxColors: integerIn(next.maxColors, 2, 256, current.maxColors),
+    playCount: integerIn(next.playCount, 0, 65535, current.playCount),
+    diffRectangle: next.diffRectangle !== undefined ? !!next.diffRectangle : current.diffRectangle,
+    lossyTransparency: integerIn(next.lossyTransparency, 0, 10, current.lossyTransparency)
+  };
+}
+
+// 体积上限（MB）换算为字节：按 1 MB = 1000×1000 字节，比各平台的限制略保守
+function megabytesToBytes(mb) {
+  const value = Number(mb);
+  return value > 0 ? Math.round(value * 1000 * 1000) : null;
+}
+
+// 转换进度的默认去向：录制流程中转换占进度条的后半段
+function reportConvertProgress(percent) {
+  notifyMainWindow('recording-progress', percent);
+}
+
+// 把视频拆成 PNG 帧（只取 start~end 范围，标注会一并烧录），用于逐帧编辑
+function extractFrames(inputFile, start, end, fps, width, annotations = []) {
+  return new Promise((resolve, reject) => {
+    const framesDir = path.join(os.tmpdir(), `gif-capture-frames-${Date.now()}`);
+    fs.mkdirSync(framesDir, { recursive: true });
+
+    const { inputArgs, graph } = buildSourceGraph(inputFile, `fps=${fps},scale=${width}:-1:flags=lanczos`, annotations);
+    // -ss/-t 写在第一个 -i 之前，只作用于主视频
+    const extractArgs = ['-ss', Math.max(0, start).toFixed(3)];
+    if (end > start) {
+      extractArgs.push('-t', (end - start).toFixed(3));
+    }
+    extractArgs.push(...inputArgs);
+    extractArgs.push('-filter_complex', graph, '-map', '[src]');
+    extractArgs.push('-y', path.join(framesDir, 'frame-%05d.png'));
+
+    console.log('拆帧命令:', ffmpegPath, extractArgs.join(' '));
+
+    const extractProcess = spawn(ffmpegPath, extractArgs);
+    extractProcess.on('close', (code) => {
+      if (code !== 0) {
+        removeTempDir(framesDir);
+        reject(new Error(`拆帧失败，退出码: ${code}`));
+        return;
+      }
+      const delay = Math.round(1000 / fps);
+      const frames = fs.readdirSync(framesDir)
+        .filter(name => /^frame-\d+\.png$/.test(name))
+        .sort()
+        .map(name => ({ path: path.join(framesDir, name), delay }));
+      resolve({ framesDir, frames });
+    });
+    extractProcess.on('error', (err) => {
+      removeTempDir(framesDir);
+      reject(err);
+    });
+  });
+}
+
+// 删除临时目录（拆帧、标注图片等）
+function removeTempDir(dir) {
+  if (!dir) return;
+  try { fs.rmSync(dir, { recursive: true, force: true }); } catch (_) {}
+}
+
+// 按编辑后的帧序列生成 GIF：帧按顺序复制为连续编号的图片序列走调色板流程，再把每帧延时写回 GIF。
+// options.maxBytes 为体积上限，超出时保留全部帧逐步缩小尺寸和调色板（见 encodeGifWithinBudget），
+// options.onBudgetAttempt 接收每次尝试的参数。有上限时返回体积优化报告，否则返回 null
+function encodeFramesToGif(frames, framesDir, outputFile, onProgress = reportConvertProgress, options = {}) {
+  const sequenceDir = path.join(framesDir, 'sequence');
+  let width;
+  try {
+    if (!frames || frames.length === 0) throw new Error('没有可导出的帧');
+    fs.rmSync(sequenceDir, { recursive: true, force: true });
+    fs.mkdirSync(sequenceDir, { recursive: true });
+    // 重复的帧也要各自占一个序号，否则 FFmpeg 无法区分
+    frames.forEach((frame, index) => {
+      const name = `seq-${String(index + 1).padStart(5, '0')}.png`;
+      fs.copyFileSync(frame.path, path.join(sequenceDir, name));
+    });
+    // PNG 的 IHDR 紧跟在 8 字节签名之后，宽度位于第 16~19 字节
+    width = fs.readFileSync(frames[0].path).readUInt32BE(16);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  const inputArgs = ['-framerate', '25', '-i', path.join(sequenceDir, 'seq-%05d.png')];
+  const paletteFile = path.join(framesDir, 'palette.png');
+  const gifEncoding = loadGifEncodingSettings();
+  // 序列按 25fps 读入，进度以序列时长计算
+  const encode = (gifFps, gifWidth, palette, target) => {
+    const graph = gifWidth < width ? `[0:v]scale=${gifWidth}:-1:flags=lanczos[src]` : '[0:v]null[src]';
+    return encodeGifWithPalette(inputArgs, graph, target, paletteFile, frames.length / 25, onProgress, palette);
+  };
+  const encoding = options.maxBytes
+    ? encodeGifWithinBudget(encode, outputFile, width, null, options.maxBytes, options.onBudgetAttempt, gifEncoding)
+    : encode(null, width, gifEncoding, outputFile).then(() => null);
+  return encoding.then((report) => {
+    setGifFrameDelays(outputFile, frames.map(frame => frame.delay));
+    return report;
+  });
+}
+
+// 改写 GIF 中每帧图形控制扩展（GCE）的延时（毫秒，GIF 以 1/100 秒为单位）
+function setGifFrameDelays(gifFile, delays) {
+  const buf = fs.readFileSync(gifFile);
+  const delayOffsets = [];
+  let pos = 13; // 文件头 6 字节 + 逻辑屏幕描述符 7 字节
+  // 全局颜色表
+  if (buf[10] & 0x80) pos += 3 * (1 << ((buf[10] & 0x07) + 1));
+
+  const skipSubBlocks = () => {
+    while (pos < buf.length && buf[pos] !== 0) pos += buf[pos] + 1;
+    pos += 1;
+  };
+
+  while (pos < buf.length) {
+    const marker = buf[pos];
+    if (marker === 0x21) {
+      if (buf[pos + 1] === 0xF9) delayOffsets.push(pos + 4);
+      pos += 2;
+      skipSubBlocks();
+    } else if (marker === 0x2C) {
+      const packed = buf[pos + 9];
+      pos += 10;
+      if (packed & 0x80) pos += 3 * (1 << ((packed & 0x07) + 1));
+      pos += 1; // LZW 最小码长
+      skipSubBlocks();
+    } else {
+      break; // 0x3B 结束符或无法识别的数据
+    }
+  }
+
+  if (delayOffsets.length !== delays.length) {
+    console.error(`GIF 帧数(${delayOffsets.length})与编辑帧数(${delays.length})不一致，保留原延时`);
+    return;
+  }
+
+  delayOffsets.forEach((offset, index) => {
+    const centiseconds = Math.max(2, Math.min(65535, Math.round(delays[index] / 10)));
+    buf.writeUInt16LE(centiseconds, offset);
+  });
+  fs.writeFileSync(gifFile, buf);
+  console.log('已写入逐帧延时:', gifFile);
+}
+
+// 录制时的隐私遮挡滤镜图：输入为 0 号输入的视频流，输出标签为 [redacted]
+function buildRedactionGraph(redactions, input = '0:v') {
+  const steps = [];
+  let current = input;
+  let labelCount = 0;
+  const nextLabel = () => `r${++labelCount}`;
+
+  redactions.forEach((r) => {
+    const out = nextLabel();
+    if (r.mode === 'blackout') {
+      steps.push(`[${current}]drawbox=x=${r.x}:y=${r.y}:w=${r.width}:h=${r.height}:color=black:t=fill[${out}]`);
+    } else {
+      // 遮挡用的马赛克比标注更粗，保证文字不可辨认
+      const blockSize = Math.max(12, Math.round(Math.min(r.width, r.height) / 4));
+      steps.push(...regionEffectSteps(current, out, r, pixelateFilter(r.width, r.height, blockSize), '', nextLabel));
+    }
+    current = out;
+  });
+
+  steps.push(`[${current}]null[redacted]`);
+  return steps.join(';');
+}
+
+// 把遮挡区域（相对 display 左上角的逻辑坐标）换算为录制画面中的像素坐标：
+// origin 为录制画面左上角（物理像素），frame 为画面尺寸，超出画面的部分会被裁掉
+function resolveRedactions(redactions, display, origin, frame) {
+  if (!Array.isArray(redactions)) return [];
+  const even = (n) => Math.max(0, Math.floor(n / 2) * 2);
+  const resolved = [];
+  redactions.forEach((item) => {
+    if (!item) return;
+    const r = dipToCaptureRect({
+      x: display.bounds.x + Number(item.x),
+      y: display.bounds.y + Number(item.y),
+      width: Number(item.width),
+      height: Number(item.height)
+    });
+    const left = Math.max(0, r.x - origin.x);
+    const top = Math.max(0, r.y - origin.y);
+    const right = Math.min(frame.width, r.x + r.width - origin.x);
+    const bottom = Math.min(frame.height, r.y + r.height - origin.y);
+    const x = even(left);
+    const y = even(top);
+    // 向外取整，保证原区域被完全覆盖
+    const width = Math.min(frame.width - x, Math.ceil((right - x) / 2) * 2);
+    const height = Math.min(frame.height - y, Math.ceil((bottom - y) / 2) * 2);
+    if (!(width >= 8 && height >= 8)) return;
+    resolved.push({ mode: item.mode === 'blackout' ? 'blackout' : 'pixelate', x, y, width, height });
+  });
+  return resolved;
+}
+
+// 把录制时记录的鼠标轨迹整理为 buildSourceGraph 可用的效果：
+// { type: 'cursor', commandsFile } 光标高亮，{ type: 'clicks', clicks } 点击涟漪；
+// 时间换算到导出文件（减去 timeOffset），返回 { annotations, dir }，dir 需在导出后清理
+function prepareCursorEffects(track, timeOffset = 0) {
+  if (!track || (track.samples.length === 0 && track.clicks.length === 0)) {
+    return { annotations: [], dir: null };
+  }
+  const effects = [];
+  let dir = null;
+
+  if (track.highlight && track.samples.length > 0) {
+    const radius = 24;
+    // 入点之前的最后一个位置作为起始位置
+    let firstIndex = track.samples.findIndex(sample => sample.t >= timeOffset);
+    if (firstIndex === -1) firstIndex = track.samples.length;
+    const samples = track.samples.slice(Math.max(0, firstIndex - 1));
+    const lines = samples.map((sample) => {
+      const t = Math.max(0, sample.t - timeOffset).toFixed(3);
+      return `${t} overlay@cursor x ${sample.x - radius}, overlay@cursor y ${sample.y - radius};`;
+    });
+    dir = path.join(os.tmpdir(), `gif-capture-cursor-${Date.now()}`);
+    fs.mkdirSync(dir, { recursive: true });
+    const commandsFile = path.join(dir, 'cursor.cmd');
+    fs.writeFileSync(commandsFile, lines.join('\n') + '\n', 'utf8');
+    effects.push({ type: 'cursor', commandsFile, radius, fps: track.fps || 15 });
+  }
+
+  const clicks = track.clicks
+    .map(click => ({ x: click.x, y: click.y, start: click.t - timeOffset }))
+    .filter(click => click.start >= 0);
+  if (clicks.length > 0) {
+    effects.push({ type: 'clicks', clicks, radius: 32, fps: track.fps || 15 });
+  }
+
+  return { annotations: effects, dir };
+}
+
+// 按键徽标样式与位置（drawtext 参数，边距需留出 boxborderw 的 12 像素）
+const KEYSTROKE_STYLES = {
+  dark: { color: 'white', box: 'black@0.65' },
+  light: { color: 'black', box: 'white@0.85' },
+  accent: { color: 'white', box: '0x667eea@0.9' }
+};
+const KEYSTROKE_POSITIONS = {
+  'bottom-right': 'x=w-tw-h/20-12:y=h-th-h/20-12',
+  'bottom-left': 'x=h/20+12:y=h-th-h/20-12',
+  'top-right': 'x=w-tw-h/20-12:y=h/20+12',
+  'top-left': 'x=h/20+12:y=h/20+12'
+};
+const DEFAULT_KEYSTROKE_SETTINGS = { enabled: false, position: 'bottom-right', style: 'dark', fadeSeconds: 1.5 };
+
+function loadKeystrokeSettings() {
+  const settings = cachedSettings || loadSettings();
+  return { ...DEFAULT_KEYSTROKE_SETTINGS, ...(settings.keystrokeOverlay || {}) };
+}
+
+// drawtext 使用的字体：优先系统中可显示中文的字体，找不到时交给 fontconfig
+function findOverlayFont() {
+  const candidates = {
+    win32: ['C:\\Windows\\Fonts\\msyh.ttc', 'C:\\Windows\\Fonts\\arial.ttf'],
+    darwin: ['/System/Library/Fonts/PingFang.ttc', '/System/Library/Fonts/Helvetica.ttc', '/Library/Fonts/Arial.ttf'],
+    linux: ['/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc', '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf']
+  }[process.platform] || [];
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+// 把按键记录整理为 { type: 'keystroke' } 效果：每条显示 fadeSeconds 秒，下一条出现时提前结束；
+// 文字写入临时文件供 drawtext 的 textfile 读取，返回 { annotations, dir }
+function prepareKeystrokeEffects(keystrokes, timeOffset = 0) {
+  if (!Array.isArray(keystrokes) || keystrokes.length === 0) {
+    return { annotations: [], dir: null };
+  }
+  const settings = loadKeystrokeSettings();
+  const style = KEYSTROKE_STYLES[settings.style] || KEYSTROKE_STYLES.dark;
+  const position = KEYSTROKE_POSITIONS[settings.position] || KEYSTROKE_POSITIONS['bottom-right'];
+  const fadeSeconds = Math.max(0.5, Number(settings.fadeSeconds) || DEFAULT_KEYSTROKE_SETTINGS.fadeSeconds);
+  const fontFile = findOverlayFont();
+  const dir = path.join(os.tmpdir(), `gif-capture-keys-${Date.now()}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const effects = [];
+  keystrokes.forEach((key, index) => {
+    const next = keystrokes[index + 1];
+    const start = key.t - timeOffset;
+    const end = Math.min(key.last + fadeSeconds, next ? next.t : Infinity) - timeOffset;
+    if (end <= 0 || !(end > start)) return;
+    const textFile = path.join(dir, `key-${index + 1}.txt`);
+    fs.writeFileSync(textFile, key.label, 'utf8');
+    effects.push({ type: 'keystroke', textFile, fontFile, style, position, start: Math.max(0, start), end });
+  });
+  return { annotations: effects, dir };
+}
+
+// 录制时记录的全部效果（鼠标高亮/点击、按键），source 为录制会话或 pendingEdit；
+// 返回 { annotations, dirs }，dirs 需在导出后清理
+function prepareRecordedEffects(source, timeOffset = 0) {
+  const cursor = prepareCursorEffects(source.cursorTrack, timeOffset);
+  const keys = prepareKeystrokeEffects(source.keystrokes, timeOffset);
+  return {
+    annotations: [...cursor.annotations, ...keys.annotations],
+    dirs: [cursor.dir, keys.dir].filter(Boolean)
+  };
+}
+
+// 整理编辑器传来的标注：时间换算到导出文件（减去 timeOffset），图片类标注（箭头/矩形/文字）写成 PNG；
+// 返回 { annotations, dir }，dir 为 PNG 所在临时目录，导出后需清理
+function prepareAnnotations(annotations, timeOffset = 0) {
+  if (!Array.isArray(annotations) || annotations.length === 0) {
+    return { annotations: [], dir: null };
+  }
+  const dir = path.join(os.tmpdir(), `gif-capture-annotations-${Date.now()}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  // 裁剪区域需要偶数坐标/尺寸，避免 yuv420p 下色度错位
+  const even = (n) => Math.max(0, Math.round((Number(n) || 0) / 2) * 2);
+  const prepared = [];
+  annotations.forEach((a, index) => {
+    if (!a) return;
+    const start = Math.max(0, (Number(a.start) || 0) - timeOffset);
+    const end = (Number(a.end) || 0) - timeOffset;
+    if (!(end > start)) return;
+
+    if (a.type === 'blur' || a.type === 'pixelate') {
+      const width = even(a.width);
+      const height = even(a.height);
+      if (width < 8 || height < 8) return;
+      prepared.push({ type: a.type, x: even(a.x), y: even(a.y), width, height, start, end });
+    } else if (typeof a.image === 'string' && a.image.startsWith('data:image/png;base64,')) {
+      const file = path.join(dir, `annotation-${index + 1}.png`);
+      fs.writeFileSync(file, Buffer.from(a.image.slice('data:image/png;base64,'.length), 'base64'));
+      prepared.push({ type: 'image', file, start, end });
+    }
+  });
+  return { annotations: prepared, dir };
+}
+
+// convertToFormat 支持的输出格式
+const EXPORT_FORMATS = ['gif', 'mp4', 'webm', 'webp', 'apng', 'avif'];
+// 动图格式：录制完成后和 GIF 一样复制到剪贴板，而不是打开所在文件夹
+const ANIMATED_IMAGE_FORMATS = ['gif', 'webp', 'apng', 'avif'];
+// 扩展名与格式名不同的格式：APNG 保存为 .png，GitHub、Slack 等按普通 PNG 内联显示动画
+const FORMAT_EXTENSIONS = { apng: 'png' };
+
+function formatExtension(format) {
+  return FORMAT_EXTENSIONS[format] || format;
+}
+
+// 由扩展名（可带点）推断输出格式，不支持时返回 null
+function formatFromExtension(ext) {
+  const value = String(ext || '').replace(/^\./, '').toLowerCase();
+  return EXPORT_FORMATS.find(format => formatExtension(format) === value) || null;
+}
+
+// MP4 编码设置（字段说明见 format-converter.js 的 DEFAULT_MP4_ENCODING_SETTINGS）
+function loadMp4EncodingSettings() {
+  const settings = cachedSettings || loadSettings();
+  return { ...DEFAULT_MP4_ENCODING_SETTINGS, ...(settings.mp4Encoding || {}) };
+}
+
+function normalizeMp4EncodingSettings(next = {}, current = DEFAULT_MP4_ENCODING_SETTINGS) {
+  return {
+    quality: MP4_QUALITY_PRESETS[next.quality] ? next.quality : current.quality,
+    codec: MP4_CODECS[next.codec] ? next.codec : current.codec,
+    faststart: next.faststart !== undefined ? !!next.faststart : current.faststart
+  };
+}
+
+// WebP/APNG/AVIF 的编码设置（字段说明见 format-converter.js 的 DEFAULT_IMAGE_ENCODING_SETTINGS），
+// 不传 format 时返回全部格式的设置
+function loadImageEncodingSettings(format) {
+  const settings = cachedSettings || loadSettings();
+  const saved = settings.imageEncoding || {};
+  const all = {};
+  Object.keys(DEFAULT_IMAGE_ENCODING_SETTINGS).forEach((key) => {
+    all[key] = { ...DEFAULT_IMAGE_ENCODING_SETTINGS[key], ...(saved[key] || {}) };
+  });
+  return format ? all[format] : all;
+}
+
+function normalizeImageEncodingSettings(next = {}, current) {
+  const quality = Math.round(Number(next.quality));
+  const playCount = Math.round(Number(next.playCount));
+  return {
+    quality: Number.isFinite(quality) && next.quality !== null && next.quality !== '' ? Math.min(100, Math.max(0, quality)) : current.quality,
+    lossless: next.lossless !== undefined ? !!next.lossless : current.lossless,
+    playCount: Number.isFinite(playCount) && next.playCount !== null && next.playCount !== '' ? Math.min(65535, Math.max(0, playCount)) : current.playCount
+  };
+}
+
+// 向控制接口的 WebSocket 客户端转发的事件
+const CONTROL_EVENTS = ['recording-started', 'recording-progress', 'recording-captured', 'recording-completed', 'recording-error', 'recording-cancelled', 'export-jobs-updated'];
+
+// 向主界面发送消息；命令行模式下没有主界面，直接忽略。录制事件同时推送给控制接口
+function notifyMainWindow(channel, ...args) {
+  if (channel === 'recording-completed' && args[0] && args[0].filePath) {
+    lastOutputFile = args[0].filePath;
+  }
+  if (controlServer && CONTROL_EVENTS.includes(channel)) {
+    controlServer.broadcast(channel, args[0]);
+  }
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send(channel, ...args);
+}
+
+// 创建主窗口
+function createMainWindow() {
+  mainWindow = new BrowserWindow({
+    width: 480,
+    height: 680,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    },
     resizable: true,
     minWidth: 420,
     minHeight: 600,
@@ -515,34 +1699,2242 @@ function createMainWindow() {
     icon: path.join(__dirname, 'assets/tray-icon.png')
   });
 
-  mainWindow.setMenu( null);
+  mainWindow.setMenu( null);
+
+  mainWindow.loadFile('index.html');
+
+  // 开发模式下打开开发者工具
+  if (process.argv.includes('--dev')) {
+    mainWindow.webContents.openDevTools();
+  }
+
+  // 处理窗口关闭事件，隐藏到托盘而不是真正关闭
+  mainWindow.on('close', (event) => {
+    // 在Windows和Linux上，关闭窗口时隐藏到托盘；若是用户选择退出，则允许关闭
+    if (process.platform !== 'darwin' && !isQuitting) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
+}
+
+// 创建剪辑窗口：预览临时 MP4 并选择入点/出点，返回 { start, end, duration }；
+// 逐帧编辑时返回 { frames, framesDir }；放弃或关闭窗口时返回 null
+function openEditorWindow(filePath, { duration, fps, width, format, cursorTrack = null, keystrokes = null }) {
+  return new Promise((resolve) => {
+    pendingEdit = { filePath, duration, fps, width, format, cursorTrack, keystrokes, range: null, annotations: [], framesDir: null, resolve };
+
+    editorWindow = new BrowserWindow({
+      width: 820,
+      height: 640,
+      minWidth: 640,
+      minHeight: 520,
+      title: '剪辑录制 - GIF Capture Tool',
+      icon: path.join(__dirname, 'assets/tray-icon.png'),
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+
+    editorWindow.setMenu(null);
+    editorWindow.loadFile('editor.html');
+
+    if (process.argv.includes('--dev')) {
+      editorWindow.webContents.openDevTools();
+    }
+
+    editorWindow.on('closed', () => {
+      editorWindow = null;
+      settleEdit(null);
+    });
+  });
+}
+
+// 结束剪辑窗口的等待（只生效一次）
+function settleEdit(result) {
+  if (!pendingEdit) return;
+  const { resolve, framesDir } = pendingEdit;
+  pendingEdit = null;
+  // 逐帧编辑的帧目录由导出流程清理，其余情况在此清理
+  if (!result || !result.frames) removeTempDir(framesDir);
+  resolve(result);
+}
+
+// 按入点/出点重新编码裁剪，结果覆盖原文件以保持临时文件路径不变；返回裁剪后的时长
+function trimVideo(inputFile, start, end, duration, lossless = false) {
+  return new Promise((resolve, reject) => {
+    const trimStart = Math.max(0, Number(start) || 0);
+    const trimEnd = (end === null || end === undefined) ? duration : Math.min(Number(end), duration);
+    // 未改动范围时无需重新编码
+    if (trimStart <= 0.001 && trimEnd >= duration - 0.001) {
+      resolve(duration);
+      return;
+    }
+    if (!(trimEnd > trimStart)) {
+      reject(new Error('出点必须晚于入点'));
+      return;
+    }
+
+    const trimmedFile = inputFile.replace(/\.mp4$/, '-trimmed.mp4');
+    const trimArgs = [
+      '-ss', trimStart.toFixed(3),
+      '-i', inputFile,
+      '-t', (trimEnd - trimStart).toFixed(3),
+      '-c:v', 'libx264',
+      '-preset', 'ultrafast',
+      '-pix_fmt', 'yuv420p',
+      '-crf', lossless ? '0' : '18',
+      '-y', trimmedFile
+    ];
+    console.log('裁剪命令:', ffmpegPath, trimArgs.join(' '));
+
+    const trimProcess = spawn(ffmpegPath, trimArgs);
+    trimProcess.on('close', (code) => {
+      if (code === 0) {
+        try {
+          fs.unlinkSync(inputFile);
+          fs.renameSync(trimmedFile, inputFile);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        resolve(trimEnd - trimStart);
+      } else {
+        try { if (fs.existsSync(trimmedFile)) fs.unlinkSync(trimmedFile); } catch (_) {}
+        reject(new Error(`裁剪失败，退出码: ${code}`));
+      }
+    });
+    trimProcess.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+// 读取视频（或 GIF）信息：{ duration, width, height, fps }，读不到的字段为 null
+function probeVideoInfo(file) {
+  const info = { duration: null, width: null, height: null, fps: null };
+  try {
+    const result = spawnSync(ffmpegPath, ['-hide_banner', '-i', file], { stdio: 'pipe', timeout: 10000 });
+    const text = String(result.stderr || '');
+    const duration = text.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (duration) info.duration = parseInt(duration[1]) * 3600 + parseInt(duration[2]) * 60 + parseFloat(duration[3]);
+    const video = text.split('\n').find(line => /Stream .*Video:/.test(line)) || '';
+    const size = video.match(/,\s*(\d{2,5})x(\d{2,5})/);
+    if (size) {
+      info.width = parseInt(size[1]);
+      info.height = parseInt(size[2]);
+    }
+    const fps = video.match(/(\d+(?:\.\d+)?)\s*fps/);
+    if (fps) info.fps = parseFloat(fps[1]);
+    if (info.duration === null && video) {
+      // GIF 等格式头部没有时长（Duration: N/A），完整解码一遍取最后的 time=
+      const decoded = spawnSync(ffmpegPath, ['-hide_banner', '-i', file, '-map', '0:v:0', '-f', 'null', '-'], { stdio: 'pipe', timeout: 30000 });
+      info.duration = parseFFmpegTime(String(decoded.stderr || ''));
+    }
+  } catch (e) {
+    console.error('读取视频信息失败:', e && e.message ? e.message : e);
+  }
+  return info;
+}
+
+// 读取视频时长（秒），失败返回 null
+function probeVideoDuration(file) {
+  return probeVideoInfo(file).duration;
+}
+
+// 倒计时窗口的位置：尽量放在录制区域之外（依次尝试下方、上方、右侧、左侧），
+// 全屏录制时放在所录显示器工作区的右上角，窗口会在 FFmpeg 启动前关闭，不会被录进画面
+// region 为屏幕逻辑坐标，display 为录制所在的显示器
+function getCountdownPosition(region, display, size) {
+  const area = (display || screen.getPrimaryDisplay()).workArea;
+  const margin = 16;
+  const fallback = { x: area.x + area.width - size - margin, y: area.y + margin };
+  if (!region) return fallback;
+
+  const r = region;
+  const centerX = Math.round(r.x + (r.width - size) / 2);
+  const centerY = Math.round(r.y + (r.height - size) / 2);
+  const candidates = [
+    { x: centerX, y: Math.round(r.y + r.height + margin) },
+    { x: centerX, y: Math.round(r.y - size - margin) },
+    { x: Math.round(r.x + r.width + margin), y: centerY },
+    { x: Math.round(r.x - size - margin), y: centerY }
+  ];
+  const fits = (p) => p.x >= area.x && p.y >= area.y && p.x + size <= area.x + area.width && p.y + size <= area.y + area.height;
+  return candidates.find(fits) || fallback;
+}
+
+// 录制前倒计时：显示置顶且不接收鼠标的倒计时窗口，并同步到托盘提示；
+// 按 Esc（或托盘“停止录制”）取消。返回 Promise<boolean>，true 表示倒计时结束可以开始录制
+function runCountdown(seconds, region = null, display = null) {
+  const total = Math.min(10, Math.max(0, Math.round(Number(seconds) || 0)));
+  if (total === 0) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const size = 140;
+    const position = getCountdownPosition(region, display, size);
+    countdownWindow = new BrowserWindow({
+      width: size,
+      height: size,
+      x: position.x,
+      y: position.y,
+      frame: false,
+      transparent: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      focusable: false,
+      resizable: false,
+      show: false,
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+    countdownWindow.setAlwaysOnTop(true, 'screen-saver');
+    countdownWindow.setIgnoreMouseEvents(true);
+    countdownWindow.loadFile('countdown.html');
+
+    let remaining = total;
+    const tick = () => {
+      try {
+        if (countdownWindow) countdownWindow.webContents.send('countdown-tick', remaining);
+        if (tray) {
+          tray.setToolTip(`${remaining} 秒后开始录制（Esc 取消）`);
+          if (process.platform === 'darwin') tray.setTitle(String(remaining));
+        }
+        if (mainWindow) mainWindow.webContents.send('recording-countdown', remaining);
+      } catch (_) {}
+    };
+    countdownWindow.webContents.once('did-finish-load', () => {
+      tick();
+      if (countdownWindow) countdownWindow.showInactive();
+    });
+
+    const finish = (proceed) => {
+      if (!countdownState) return;
+      clearInterval(countdownState.timer);
+      countdownState = null;
+      try { globalShortcut.unregister('Esc'); } catch (_) {}
+      try {
+        if (countdownWindow) countdownWindow.close();
+      } catch (_) {}
+      countdownWindow = null;
+      try {
+        if (tray) {
+          tray.setToolTip('GIF Capture Tool');
+          if (process.platform === 'darwin') tray.setTitle('');
+        }
+      } catch (_) {}
+      updateTrayMenu();
+      if (!proceed) {
+        console.log('已取消录制倒计时');
+        resolve(false);
+        return;
+      }
+      // 等倒计时窗口完全消失再开始录制
+      setTimeout(() => resolve(true), 200);
+    };
+
+    countdownState = {
+      timer: setInterval(() => {
+        remaining -= 1;
+        if (remaining <= 0) {
+          finish(true);
+        } else {
+          tick();
+        }
+      }, 1000),
+      finish
+    };
+
+    try {
+      globalShortcut.register('Esc', () => {
+        logShortcutKeystroke('Esc');
+        cancelCountdown();
+      });
+    } catch (e) {
+      console.error('注册 Esc 取消键失败:', e && e.message ? e.message : e);
+    }
+    updateTrayMenu();
+  });
+}
+
+function cancelCountdown() {
+  if (countdownState) countdownState.finish(false);
+}
+
+// 倒计时被取消：恢复主窗口并通知界面
+function notifyCountdownCancelled() {
+  try {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+      notifyMainWindow('recording-cancelled');
+    }
+  } catch (_) {}
+  return { success: false, cancelled: true, message: '已取消录制' };
+}
+
+// ---------- 定时录制 / 延时摄影 ----------
+// 任务：{ id, type: 'capture' | 'timelapse', startAt, repeatDaily, options, timelapse: { interval, total, outputFps } }
+// startAt 为时间戳（毫秒）；保存在 settings.json 的 scheduledJobs 中，重启后重新排程
+
+function loadScheduledJobs() {
+  const settings = cachedSettings || loadSettings();
+  return Array.isArray(settings.scheduledJobs) ? settings.scheduledJobs : [];
+}
+
+function saveScheduledJobs(jobs) {
+  saveSettings({ scheduledJobs: jobs });
+  updateTrayMenu();
+  try {
+    if (mainWindow) mainWindow.webContents.send('scheduled-jobs-updated', jobs);
+  } catch (_) {}
+}
+
+function describeScheduledJob(job) {
+  const date = new Date(job.startAt);
+  const pad = (n) => String(n).padStart(2, '0');
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const when = job.repeatDaily ? `每天 ${time}` : (sameDay ? time : `${date.getMonth() + 1}/${date.getDate()} ${time}`);
+  const format = String((job.options && job.options.format) || 'gif').toUpperCase();
+  if (job.type === 'timelapse') {
+    const { interval, total } = job.timelapse;
+    return `${when} 延时摄影（每 ${interval} 秒一帧，共 ${Math.round(total / 60)} 分钟，${format}）`;
+  }
+  return `${when} 录制 ${job.options.duration} 秒（${format}）`;
+}
+
+// 为任务设置计时器；错过时间的一次性任务直接丢弃，每天重复的任务顺延到下一次
+function armScheduledJob(job) {
+  if (scheduledTimers.has(job.id)) clearTimeout(scheduledTimers.get(job.id));
+  const delay = job.startAt - Date.now();
+  // setTimeout 最长约 24.8 天，更远的任务分段等待
+  const timer = setTimeout(() => {
+    scheduledTimers.delete(job.id);
+    if (job.startAt - Date.now() > 1000) {
+      armScheduledJob(job);
+      return;
+    }
+    runScheduledJob(job.id);
+  }, Math.min(Math.max(delay, 0), 0x7fffffff));
+  scheduledTimers.set(job.id, timer);
+}
+
+function restoreScheduledJobs() {
+  const now = Date.now();
+  const jobs = [];
+  loadScheduledJobs().forEach((job) => {
+    if (job.startAt > now) {
+      jobs.push(job);
+    } else if (job.repeatDaily) {
+      const days = Math.ceil((now - job.startAt) / 86400000);
+      jobs.push({ ...job, startAt: job.startAt + days * 86400000 });
+    } else {
+      console.log('应用未运行期间错过的定时任务已丢弃:', describeScheduledJob(job));
+    }
+  });
+  jobs.forEach(armScheduledJob);
+  saveScheduledJobs(jobs);
+}
+
+function cancelScheduledJob(id) {
+  if (scheduledTimers.has(id)) {
+    clearTimeout(scheduledTimers.get(id));
+    scheduledTimers.delete(id);
+  }
+  saveScheduledJobs(loadScheduledJobs().filter(job => job.id !== id));
+}
+
+function runScheduledJob(id) {
+  const job = loadScheduledJobs().find(item => item.id === id);
+  if (!job) return;
+
+  // 正在录制时稍后重试
+  if (isRecording || countdownState) {
+    console.log('正在录制，定时任务 10 秒后重试:', describeScheduledJob(job));
+    scheduledTimers.set(id, setTimeout(() => runScheduledJob(id), 10000));
+    return;
+  }
+
+  // 每天重复的任务先排好下一次，其余任务执行后移除
+  const remaining = loadScheduledJobs().filter(item => item.id !== id);
+  if (job.repeatDaily) {
+    const next = { ...job, startAt: job.startAt + 86400000 };
+    remaining.push(next);
+    armScheduledJob(next);
+  }
+  saveScheduledJobs(remaining);
+
+  console.log('执行定时任务:', describeScheduledJob(job));
+  const run = job.type === 'timelapse'
+    ? startTimelapse(job.options, job.timelapse)
+    : startScreenRecording({ ...job.options, countdown: 0, untilStopped: false, editAfterCapture: false });
+  Promise.resolve(run).then((result) => {
+    if (result && result.success === false) console.error('定时任务执行失败:', result.message);
+  }).catch((e) => {
+    console.error('定时任务执行失败:', e && e.message ? e.message : e);
+  });
+}
+
+// 延时摄影连续抓帧失败达到该次数即结束会话（抓屏权限被收回、显示器断开等情况下不再空转到 total）
+const TIMELAPSE_MAX_GRAB_FAILURES = 3;
+
+// 延时摄影：每 interval 秒抓取一帧全屏截图，共 total 秒，最后按 outputFps 合成为 GIF/MP4
+function startTimelapse(options = {}, { interval = 5, total = 600, outputFps = 10 } = {}) {
+  if (isRecording || countdownState) {
+    return Promise.resolve({ success: false, message: '正在录制中...' });
+  }
+  if (!checkFFmpegAvailability()) {
+    return Promise.resolve({ success: false, message: `FFmpeg不可用，请检查安装。路径: ${ffmpegPath}` });
+  }
+  const backend = captureBackends.getCaptureBackend();
+  if (!backend.available) {
+    return Promise.resolve({ success: false, message: `无法录屏: ${backend.reason}` });
+  }
+
+  // 延时摄影只输出 GIF 或 MP4
+  const format = options.format === 'gif' ? 'gif' : 'mp4';
+  const width = options.width || 640;
+  const frameCount = Math.max(2, Math.floor(total / interval));
+  const preferredDir = getSavePath();
+  const saveDir = (preferredDir && fs.existsSync(preferredDir)) ? preferredDir : path.join(os.homedir(), 'Desktop');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputFile = path.join(saveDir, `timelapse-${timestamp}.${format}`);
+  const dir = path.join(os.tmpdir(), `gif-capture-timelapse-${Date.now()}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  isRecording = true;
+  try { notifyMainWindow('recording-started', { untilStopped: false, timelapse: true }); } catch (_) {}
+
+  return new Promise((resolve) => {
+    const maxBytes = format === 'gif' ? megabytesToBytes(options.maxSizeMB) : null;
+    // deadline：到达 total 秒后即使帧数不够也结束（抓帧慢于 interval 时不会无限拖长）
+    const deadline = Date.now() + total * 1000;
+    const session = { dir, frames: 0, frameCount, outputFile, format, width, outputFps, maxBytes, timer: null, grabbing: null, stopRequested: false, failures: 0, failed: null, resolve };
+    timelapseSession = session;
+    updateTrayMenu();
+
+    const target = resolveCaptureTarget(options.displayId);
+    const { inputArgs, inputFilter } = buildCaptureInput(backend, target, { fps: 30, showCursor: options.showCursor });
+    if (inputFilter) inputArgs.push('-vf', inputFilter);
+    const grab = () => {
+      if (session.stopRequested || session.grabbing) return;
+      if (Date.now() >= deadline) {
+        stopTimelapse(session);
+        return;
+      }
+      const frameFile = path.join(dir, `frame-${String(session.frames + 1).padStart(5, '0')}.png`);
+      const proc = spawn(ffmpegPath, [...inputArgs, '-frames:v', '1', '-y', frameFile]);
+      session.grabbing = proc;
+      // error 和 close 可能先后触发，每次抓帧只结算一次
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        session.grabbing = null;
+        if (!error) {
+          session.frames += 1;
+          session.failures = 0;
+          const percent = Math.min(Math.round((session.frames / frameCount) * 50), 50);
+          try { notifyMainWindow('recording-progress', percent); } catch (_) {}
+        } else {
+          session.failures += 1;
+          console.error('延时摄影抓帧失败:', error);
+          if (session.failures >= TIMELAPSE_MAX_GRAB_FAILURES) {
+            session.failed = `延时摄影连续 ${session.failures} 次抓帧失败: ${error}`;
+          }
+        }
+        if (session.frames >= frameCount || session.stopRequested || session.failed || Date.now() >= deadline) {
+          stopTimelapse(session);
+        }
+      };
+      proc.on('close', (code) => {
+        settle(code === 0 && fs.existsSync(frameFile) ? null : `FFmpeg 退出码 ${code}`);
+      });
+      proc.on('error', (err) => {
+        settle(err.message);
+      });
+    };
+
+    console.log(`开始延时摄影：每 ${interval} 秒一帧，共 ${frameCount} 帧`);
+    grab();
+    session.timer = setInterval(grab, interval * 1000);
+  });
+}
+
+// 结束延时摄影（拍满或用户提前停止），等待当前抓帧完成后合成
+function stopTimelapse(session) {
+  session.stopRequested = true;
+  clearInterval(session.timer);
+  if (session.grabbing || session.finishing) return;
+  session.finishing = true;
+  finishTimelapse(session);
+}
+
+// 抓帧结束：立即释放录制状态，合成加入导出队列（帧目录保留到任务成功或被移除，失败后可以重试）；
+// 连续抓帧失败或帧数不足时不合成，直接报错
+function finishTimelapse(session) {
+  const { dir, outputFile, format, width, outputFps, maxBytes } = session;
+  if (timelapseSession === session) timelapseSession = null;
+  isRecording = false;
+  updateTrayMenu();
+
+  if (session.failed || session.frames < 2) {
+    removeTempDir(dir);
+    const message = session.failed || '延时摄影帧数不足，未生成文件';
+    try { notifyMainWindow('recording-error', message); } catch (_) {}
+    session.resolve({ success: false, message });
+    return;
+  }
+  notifyMainWindow('recording-captured', { outputFile });
+
+  const inputArgs = ['-framerate', String(outputFps), '-i', path.join(dir, 'frame-%05d.png')];
+  const duration = session.frames / outputFps;
+
+  const run = (job) => {
+    // 转换进度为 50~100，换算为任务进度
+    const onProgress = percent => updateExportJob(job, { progress: (percent - 50) * 2 });
+    let exportPromise;
+    if (format === 'gif') {
+      // 与普通录制一样按 GIF 大小上限逐步降低参数重新编码
+      const gifEncoding = loadGifEncodingSettings();
+      const encode = (gifFps, gifWidth, palette, target) => {
+        const graph = `[0:v]fps=${gifFps},scale=${gifWidth}:-1:flags=lanczos[src]`;
+        return encodeGifWithPalette(inputArgs, graph, target, path.join(dir, 'palette.png'), duration, onProgress, palette);
+      };
+      const onAttempt = attempt => updateExportJob(job, { detail: `压缩 GIF 第 ${attempt.attempt}/${attempt.total} 次（${attempt.fps} FPS · ${attempt.width}px · ${attempt.maxColors} 色）` });
+      exportPromise = maxBytes
+        ? encodeGifWithinBudget(encode, outputFile, width, outputFps, maxBytes, onAttempt, gifEncoding)
+        : encode(outputFps, width, gifEncoding, outputFile).then(() => null);
+    } else {
+      // 与普通录制的 MP4 使用同一套编码设置；宽度取偶数以满足 yuv420p
+      const evenWidth = Math.max(2, Math.floor(Number(width) / 2) * 2);
+      exportPromise = Promise.resolve().then(() => runConvertProcess([
+        ...inputArgs,
+        '-vf', `scale=${evenWidth}:-2:flags=lanczos`,
+        ...mp4EncoderArgs(),
+        '-y', outputFile
+      ], '延时摄影 MP4', duration, onProgress));
+    }
+    return exportPromise.then((result) => {
+      const optimization = maxBytes && result ? result : null;
+      return {
+        outputs: [{
+          format,
+          width: optimization ? optimization.width : width,
+          fps: optimization ? optimization.fps : outputFps,
+          filePath: outputFile,
+          optimization
+        }],
+        failed: []
+      };
+    }, (err) => {
+      // 任务被取消时删除写了一半的文件
+      if (job.cancelRequested) {
+        try { if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile); } catch (_) {}
+      }
+      throw err;
+    });
+  };
+
+  const onSuccess = ({ outputs }) => {
+    const output = outputs[0];
+    const optimization = output.optimization;
+    if (optimization && !optimization.fits) {
+      console.log(`GIF 无法压缩到 ${(maxBytes / 1000 / 1000).toFixed(1)} MB 以内，已保留最小的结果: ${outputFile}`);
+    }
+    try { output.size = fs.statSync(outputFile).size; } catch (_) { output.size = 0; }
+    addHistoryEntry(outputFile, { format, duration, width: output.width, fps: output.fps });
+    try { notifyMainWindow('recording-completed', { filePath: outputFile, optimization, outputs, failed: [] }); } catch (_) {}
+    if (format === 'gif') {
+      try { autoCopyToClipboard(outputFile); } catch (e) { console.error('自动复制到剪贴板失败:', e && e.message ? e.message : e); }
+    } else if (!isRecording && !countdownState) {
+      // 正在录制下一段时不弹出，以免被录进画面
+      try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
+    }
+    session.resolve({ success: true, filePath: outputFile, optimization });
+  };
+
+  const onFailure = (message) => {
+    try { notifyMainWindow('recording-error', message, { exportFailed: true }); } catch (_) {}
+    session.resolve({ success: false, message, exportFailed: true });
+  };
+
+  enqueueExportJob({ label: path.basename(outputFile), run, cleanup: () => removeTempDir(dir), onSuccess, onFailure });
+}
+
+// 创建区域选择覆盖窗口：每个显示器铺一个，选区坐标相对所在显示器
+function createOverlayWindows() {
+  closeOverlayWindows(false);
+  restoreMainOnOverlayClose = true;
+  const primaryId = screen.getPrimaryDisplay().id;
+
+  overlayWindows = screen.getAllDisplays().map((display) => {
+    const { x, y, width, height } = display.bounds;
+    const win = new BrowserWindow({
+      width,
+      height,
+      x,
+      y,
+      frame: false,
+      transparent: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+
+    win.loadFile('overlay.html', {
+      query: { displayId: String(display.id), primary: display.id === primaryId ? '1' : '0' }
+    });
+    win.setFullScreen(true);
+    win.on('closed', () => {
+      overlayWindows = overlayWindows.filter(w => w !== win);
+      if (overlayWindows.length > 0 || !restoreMainOnOverlayClose) return;
+      try {
+        if (mainWindow && !isRecording && !countdownState) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+      } catch (_) {}
+    });
+    return win;
+  });
+}
+
+// 关闭全部覆盖窗口；restoreMainWindow 为 false 时保持主窗口隐藏
+function closeOverlayWindows(restoreMainWindow = true) {
+  restoreMainOnOverlayClose = restoreMainWindow;
+  overlayWindows.slice().forEach((win) => {
+    try { win.close(); } catch (_) {}
+  });
+}
+
+// ---------- 录制历史 ----------
+// 每次录制的元数据保存在 userData/history.json，新的在前：
+// [{ id, filePath, format, size, duration, region, window, width, fps, masterFile, createdAt }]
+// 缩略图为 userData/history-thumbs/<id>.png，用 FFmpeg 取第一帧生成；
+// masterFile 为无损母版（userData/masters/ 下），从同一母版重新导出的记录共用它
+
+const MAX_HISTORY_ENTRIES = 200;
+const HISTORY_THUMB_WIDTH = 160;
+let historyEntries = null;
+// 本次运行中已尝试生成过缩略图的记录，失败后不再反复重试
+const historyThumbAttempts = new Set();
+
+function getHistoryPath() {
+  return path.join(app.getPath('userData'), 'history.json');
+}
+
+function historyThumbPath(id) {
+  return path.join(app.getPath('userData'), 'history-thumbs', `${id}.png`);
+}
+
+function loadHistory() {
+  if (historyEntries) return historyEntries;
+  historyEntries = [];
+  try {
+    const historyPath = getHistoryPath();
+    if (fs.existsSync(historyPath)) {
+      const data = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      historyEntries = Array.isArray(data) ? data : [];
+    }
+  } catch (e) {
+    console.error('加载录制历史失败:', e && e.message ? e.message : e);
+  }
+  return historyEntries;
+}
+
+function saveHistory(entries) {
+  historyEntries = entries;
+  try {
+    const historyPath = getHistoryPath();
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.writeFileSync(historyPath, JSON.stringify(entries, null, 2), 'utf8');
+  } catch (e) {
+    console.error('保存录制历史失败:', e && e.message ? e.message : e);
+  }
+  notifyMainWindow('history-updated');
+}
+
+function removeHistoryThumbnail(id) {
+  try {
+    const thumb = historyThumbPath(id);
+    if (fs.existsSync(thumb)) fs.unlinkSync(thumb);
+  } catch (_) {}
+}
+
+// 移除记录时的清理：缩略图，以及不再被其他记录引用的母版
+function removeHistoryFiles(entry, remaining) {
+  removeHistoryThumbnail(entry.id);
+  if (!entry.masterFile || remaining.some(other => other.masterFile === entry.masterFile)) return;
+  try {
+    if (fs.existsSync(entry.masterFile)) fs.unlinkSync(entry.masterFile);
+  } catch (e) {
+    console.error('删除无损母版失败:', e && e.message ? e.message : e);
+  }
+}
+
+function historyMasterFile(entry) {
+  return entry.masterFile && fs.existsSync(entry.masterFile) ? entry.masterFile : null;
+}
+
+// 把录制的临时 MP4 存为无损母版（放在 userData/masters/，与成品同名），有效果要烧录时重新无损编码
+function saveCaptureMaster(tempFile, outputFile, options, duration, annotations) {
+  const mastersDir = path.join(app.getPath('userData'), 'masters');
+  fs.mkdirSync(mastersDir, { recursive: true });
+  const masterFile = uniqueSiblingPath(mastersDir, path.basename(outputFile, path.extname(outputFile)), 'mp4');
+  if (annotations.length === 0) {
+    fs.renameSync(tempFile, masterFile);
+    return Promise.resolve(masterFile);
+  }
+  return convertToFormat(tempFile, masterFile, 'mp4', options.width, options.fps, duration, {
+    annotations,
+    lossless: true,
+    // 母版与成品各转换一次，进度条只反映成品
+    onProgress: () => {}
+  }).then(() => masterFile);
+}
+
+// 与 copyImageFileToClipboard 相同，用 FFmpeg 提取第一帧为 PNG（缩小到列表大小）
+function generateHistoryThumbnail(entry) {
+  historyThumbAttempts.add(entry.id);
+  return new Promise((resolve) => {
+    const thumb = historyThumbPath(entry.id);
+    try {
+      fs.mkdirSync(path.dirname(thumb), { recursive: true });
+    } catch (e) {
+      console.error('创建缩略图目录失败:', e && e.message ? e.message : e);
+      resolve(false);
+      return;
+    }
+    const args = ['-y', '-i', entry.filePath, '-vframes', '1', '-vf', `scale=${HISTORY_THUMB_WIDTH}:-2`, thumb];
+    const thumbProcess = spawn(ffmpegPath, args, { stdio: 'ignore' });
+    thumbProcess.on('close', (code) => {
+      if (code !== 0) console.error('生成缩略图失败，退出码:', code, entry.filePath);
+      resolve(code === 0 && fs.existsSync(thumb));
+    });
+    thumbProcess.on('error', (err) => {
+      console.error('生成缩略图失败:', err.message);
+      resolve(false);
+    });
+  });
+}
+
+// 记录一次录制（或从历史重新导出）生成的文件。info: { format, duration, region, window, width, fps }
+function addHistoryEntry(filePath, info = {}) {
+  let size = 0;
+  try { size = fs.statSync(filePath).size; } catch (_) {}
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    filePath,
+    format: info.format || formatFromExtension(path.extname(filePath)) || path.extname(filePath).slice(1).toLowerCase(),
+    size,
+    duration: Number.isFinite(info.duration) ? Math.round(info.duration * 10) / 10 : null,
+    region: info.region || null,
+    window: info.window || null,
+    width: info.width || null,
+    fps: info.fps || null,
+    masterFile: info.masterFile || null,
+    createdAt: Date.now()
+  };
+  const entries = [entry, ...loadHistory()];
+  const kept = entries.slice(0, MAX_HISTORY_ENTRIES);
+  // 超出上限的旧记录只从列表中移除，不删除成品文件
+  entries.slice(MAX_HISTORY_ENTRIES).forEach(old => removeHistoryFiles(old, kept));
+  saveHistory(kept);
+  generateHistoryThumbnail(entry).then(() => notifyMainWindow('history-updated'));
+  return entry;
+}
+
+function findHistoryEntry(id) {
+  return loadHistory().find(entry => entry.id === id) || null;
+}
+
+// 清理文件已被移动或删除的记录
+function pruneMissingHistory() {
+  const entries = loadHistory();
+  const kept = entries.filter(entry => fs.existsSync(entry.filePath));
+  if (kept.length !== entries.length) {
+    entries.filter(entry => !kept.includes(entry)).forEach(entry => removeHistoryFiles(entry, kept));
+    console.log(`清理了 ${entries.length - kept.length} 条文件已不存在的录制历史`);
+    saveHistory(kept);
+  }
+  return kept;
+}
+
+// 给界面用的记录：附带文件名和缩略图（data URL），缺少缩略图时在后台补生成
+function historyEntryForRenderer(entry) {
+  const thumb = historyThumbPath(entry.id);
+  let thumbnail = null;
+  if (fs.existsSync(thumb)) {
+    try {
+      thumbnail = nativeImage.createFromPath(thumb).toDataURL();
+    } catch (e) {
+      console.error('读取缩略图失败:', e && e.message ? e.message : e);
+    }
+  } else if (!historyThumbAttempts.has(entry.id)) {
+    generateHistoryThumbnail(entry).then((ok) => {
+      if (ok) notifyMainWindow('history-updated');
+    });
+  } else if (ANIMATED_IMAGE_FORMATS.includes(entry.format)) {
+    // FFmpeg 解码不了的动图（如动画 WebP）直接用文件本身作缩略图，由页面缩放显示
+    thumbnail = pathToFileURL(entry.filePath).href;
+  }
+  return { ...entry, name: path.basename(entry.filePath), thumbnail, hasMaster: !!historyMasterFile(entry) };
+}
+
+// 同目录下不与现有文件重名的路径：name.ext、name-1.ext、name-2.ext…
+function uniqueSiblingPath(dir, baseName, ext) {
+  let candidate = path.join(dir, `${baseName}.${ext}`);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${baseName}-${i}.${ext}`);
+  }
+  return candidate;
+}
+
+// 把历史中的文件重新导出为另一种格式（有母版时从母版转换），新文件放在原文件旁并加入历史
+async function exportHistoryEntry(entry, format) {
+  const dir = path.dirname(entry.filePath);
+  const baseName = path.basename(entry.filePath, path.extname(entry.filePath));
+  const outputFile = uniqueSiblingPath(dir, baseName, formatExtension(format));
+  const masterFile = historyMasterFile(entry);
+  const inputFile = masterFile || entry.filePath;
+  const duration = entry.duration || probeVideoDuration(inputFile) || 1;
+  const width = entry.width || 640;
+  const fps = entry.fps || 15;
+  await convertToFormat(inputFile, outputFile, format, width, fps, duration, {
+    onProgress: percent => notifyMainWindow('history-export-progress', { id: entry.id, percent: (percent - 50) * 2 })
+  });
+  addHistoryEntry(outputFile, { format, duration, region: entry.region, window: entry.window, width, fps, masterFile });
+  return outputFile;
+}
+
+// ---------- 重新导出 ----------
+// 把已有的录制（优先用无损母版）或拖进主窗口的视频/GIF 以新的格式、宽度、帧率和范围重新转换
+
+// FFmpeg 无法解码动画 WebP，WebP/AVIF 不作为来源
+const REEXPORT_EXTENSIONS = ['.gif', '.png', '.mp4', '.webm', '.mov', '.mkv', '.avi', '.m4v'];
+// 当前重新导出的来源：{ filePath, inputFile, name, historyId, fromMaster, duration, width, height, fps, defaults }
+let reexportSource = null;
+let reexportRunning = false;
+
+// source: { historyId } 来自录制历史，或 { filePath } 来自拖入的文件
+function openReexportWindow(source = {}) {
+  if (reexportRunning) {
+    return { success: false, message: '正在重新导出，请稍候' };
+  }
+  let entry = null;
+  let filePath = null;
+  if (source.historyId) {
+    entry = findHistoryEntry(source.historyId);
+    if (!entry) return { success: false, message: '记录不存在' };
+    filePath = entry.filePath;
+  } else if (typeof source.filePath === 'string' && source.filePath) {
+    filePath = path.resolve(source.filePath);
+    if (!REEXPORT_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return { success: false, message: `只支持 ${REEXPORT_EXTENSIONS.join(' ')} 文件` };
+    }
+  } else {
+    return { success: false, message: '没有指定文件' };
+  }
+
+  const masterFile = entry ? historyMasterFile(entry) : null;
+  const inputFile = masterFile || filePath;
+  if (!fs.existsSync(inputFile)) {
+    return { success: false, message: '文件不存在' };
+  }
+  if (!checkFFmpegAvailability()) {
+    return { success: false, message: `FFmpeg不可用，请检查安装。路径: ${ffmpegPath}` };
+  }
+  const info = probeVideoInfo(inputFile);
+  if (!info.duration) {
+    return { success: false, message: '无法读取该文件的时长，可能不是视频或 GIF' };
+  }
+
+  reexportSource = {
+    filePath,
+    inputFile,
+    name: path.basename(filePath),
+    historyId: entry ? entry.id : null,
+    fromMaster: !!masterFile,
+    ...info,
+    defaults: {
+      format: (entry && entry.format) || formatFromExtension(path.extname(filePath)) || 'gif',
+      width: (entry && entry.width) || Math.min(info.width || 640, 640),
+      fps: (entry && entry.fps) || Math.min(Math.round(info.fps) || 15, 60)
+    }
+  };
+
+  if (reexportWindow) {
+    reexportWindow.webContents.reload();
+    reexportWindow.show();
+    reexportWindow.focus();
+    return { success: true };
+  }
+
+  reexportWindow = new BrowserWindow({
+    width: 640,
+    height: 620,
+    minWidth: 520,
+    minHeight: 520,
+    title: '重新导出 - GIF Capture Tool',
+    icon: path.join(__dirname, 'assets/tray-icon.png'),
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  reexportWindow.setMenu(null);
+  reexportWindow.loadFile('reexport.html');
+
+  if (process.argv.includes('--dev')) {
+    reexportWindow.webContents.openDevTools();
+  }
+
+  reexportWindow.on('close', (event) => {
+    // 转换进行中不关闭窗口，否则进度和结果无处显示
+    if (reexportRunning && !isQuitting) event.preventDefault();
+  });
+  reexportWindow.on('closed', () => {
+    reexportWindow = null;
+    reexportSource = null;
+  });
+  return { success: true };
+}
+
+// 按重新导出窗口中的设置转换：settings = { format, width, fps, start, end, maxSizeMB }
+async function runReexport(settings = {}) {
+  const source = reexportSource;
+  if (!source) {
+    return { success: false, message: '没有要导出的文件' };
+  }
+  if (reexportRunning) {
+    return { success: false, message: '正在重新导出，请稍候' };
+  }
+  const format = settings.format;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { success: false, message: `不支持的格式: ${format}` };
+  }
+  const width = Math.round(Number(settings.width));
+  const fps = Math.round(Number(settings.fps));
+  if (!(width >= 16 && width <= 7680) || !(fps >= 1 && fps <= 60)) {
+    return { success: false, message: '宽度或帧率无效' };
+  }
+  const start = Math.max(0, Number(settings.start) || 0);
+  const end = Math.min(source.duration, Number(settings.end) || source.duration);
+  if (!(end - start >= 0.05)) {
+    return { success: false, message: '出点必须晚于入点' };
+  }
+  const trimmed = start > 0.001 || end < source.duration - 0.001;
+  const length = end - start;
+
+  const baseName = path.basename(source.filePath, path.extname(source.filePath));
+  const outputFile = uniqueSiblingPath(path.dirname(source.filePath), `${baseName}-${width}px`, formatExtension(format));
+  const maxBytes = format === 'gif' ? megabytesToBytes(settings.maxSizeMB) : null;
+  let optimization = null;
+  reexportRunning = true;
+  try {
+    const result = await convertToFormat(source.inputFile, outputFile, format, width, fps, length, {
+      trim: trimmed ? { start, end } : null,
+      resample: true,
+      maxBytes,
+      onBudgetAttempt: (attempt) => {
+        try {
+          if (reexportWindow) reexportWindow.webContents.send('reexport-optimizing', attempt);
+        } catch (_) {}
+      },
+      onProgress: (percent) => {
+        try {
+          if (reexportWindow) reexportWindow.webContents.send('reexport-progress', (percent - 50) * 2);
+        } catch (_) {}
+      }
+    });
+    if (maxBytes) optimization = result;
+  } catch (error) {
+    try { if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile); } catch (_) {}
+    console.error('重新导出失败:', error && error.message ? error.message : error);
+    return { success: false, message: error.message };
+  } finally {
+    reexportRunning = false;
+  }
+
+  const entry = source.historyId ? findHistoryEntry(source.historyId) : null;
+  addHistoryEntry(outputFile, {
+    format,
+    duration: length,
+    region: entry ? entry.region : null,
+    window: entry ? entry.window : null,
+    width: optimization ? optimization.width : width,
+    fps: optimization ? optimization.fps : fps,
+    // 未裁剪时新文件与原记录共用母版，之后还可以继续从母版导出
+    masterFile: source.fromMaster && !trimmed ? source.inputFile : null
+  });
+  return { success: true, filePath: outputFile, optimization };
+}
+
+// ---------- 多显示器 ----------
+// Electron 的屏幕坐标为逻辑像素（DIP），FFmpeg 抓屏使用物理像素。
+// Windows 下各显示器缩放可以不同，交给 dipToScreenPoint/dipToScreenRect 换算；
+// 其他平台按所在显示器的缩放比例换算
+function dipToCapturePoint(point) {
+  const p = { x: Math.round(point.x), y: Math.round(point.y) };
+  if (process.platform === 'win32') return screen.dipToScreenPoint(p);
+  const scaleFactor = screen.getDisplayNearestPoint(p).scaleFactor || 1;
+  return { x: Math.round(p.x * scaleFactor), y: Math.round(p.y * scaleFactor) };
+}
+
+function dipToCaptureRect(rect) {
+  const r = {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  };
+  if (process.platform === 'win32') return screen.dipToScreenRect(null, r);
+  const scaleFactor = screen.getDisplayNearestPoint({ x: r.x, y: r.y }).scaleFactor || 1;
+  return {
+    x: Math.round(r.x * scaleFactor),
+    y: Math.round(r.y * scaleFactor),
+    width: Math.round(r.width * scaleFactor),
+    height: Math.round(r.height * scaleFactor)
+  };
+}
+
+// 按 id 查找显示器，找不到（如已拔掉）时回退到主显示器
+function findDisplay(displayId) {
+  if (displayId !== null && displayId !== undefined && displayId !== '') {
+    const found = screen.getAllDisplays().find(d => String(d.id) === String(displayId));
+    if (found) return found;
+  }
+  return screen.getPrimaryDisplay();
+}
+
+// 全屏录制的目标：displayId 为 'all' 时录制整个虚拟桌面（各显示器拼接），
+// 否则只录制对应显示器（默认主显示器）。返回物理像素的 region/origin/frame，
+// displayIndex 为显示器序号、displayOrigin 为该显示器左上角（macOS avfoundation 设备号和裁剪选区用）
+function resolveCaptureTarget(displayId) {
+  const displays = screen.getAllDisplays();
+  if (displayId === 'all') {
+    const rects = displays.map(d => dipToCaptureRect(d.bounds));
+    const left = Math.min(...rects.map(r => r.x));
+    const top = Math.min(...rects.map(r => r.y));
+    const right = Math.max(...rects.map(r => r.x + r.width));
+    const bottom = Math.max(...rects.map(r => r.y + r.height));
+    return {
+      display: screen.getPrimaryDisplay(),
+      displayIndex: 0,
+      region: null,
+      origin: { x: left, y: top },
+      frame: { width: right - left, height: bottom - top }
+    };
+  }
+
+  const display = findDisplay(displayId);
+  const rect = dipToCaptureRect(display.bounds);
+  rect.width -= rect.width % 2;
+  rect.height -= rect.height % 2;
+  return {
+    display,
+    displayIndex: Math.max(0, displays.findIndex(d => d.id === display.id)),
+    // 只有一个显示器时不传偏移，沿用录制整个桌面的参数
+    region: displays.length > 1 ? rect : null,
+    origin: { x: rect.x, y: rect.y },
+    displayOrigin: { x: rect.x, y: rect.y },
+    frame: { width: rect.width, height: rect.height }
+  };
+}
+
+// 更新托盘菜单
+function updateTrayMenu() {
+  if (!tray) return;
+  
+  // 检查开机自启动状态
+  const loginItemSettings = app.getLoginItemSettings();
+  const isAutoStartEnabled = loginItemSettings.openAtLogin;
+  const scheduledJobs = loadScheduledJobs().slice().sort((a, b) => a.startAt - b.startAt);
+  const exportPresets = loadExportPresets();
+  const activePreset = (currentPageData && currentPageData.exportPreset) || null;
+  
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: '显示窗口',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+        }
+      }
+    },
+    {
+      label: '隐藏窗口',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.hide();
+        }
+      }
+    },
+    { type: 'separator' },
+    {
+      label: isRecording ? '正在录制中...' : '开始录制全屏',
+      enabled: !isRecording && !countdownState,
+      click: () => {
+        if (mainWindow && !isRecording) {
+          notifyMainWindow('hotkey-fullscreen');
+        }
+      }
+    },
+    {
+      label: '选择区域录制',
+      enabled: !isRecording && !countdownState,
+      click: () => {
+        if (mainWindow && !isRecording) {
+          notifyMainWindow('hotkey-region');
+        }
+      }
+    },
+    {
+      label: '选择窗口录制',
+      enabled: !isRecording && !countdownState,
+      click: () => {
+        if (mainWindow && !isRecording) {
+          notifyMainWindow('hotkey-window');
+        }
+      }
+    },
+    {
+      label: recorder.status().paused ? '继续录制' : '暂停录制',
+      enabled: isRecording && !!recorder.current(),
+      click: () => {
+        recorder.togglePause();
+      }
+    },
+    {
+      label: countdownState ? '取消倒计时' : (timelapseSession ? '停止延时摄影' : '停止录制'),
+      enabled: isRecording || !!countdownState,
+      click: () => {
+        requestStopRecording();
+      }
+    },
+    {
+      label: pendingExportJobCount() > 0 ? `导出队列（${pendingExportJobCount()}）` : '导出队列',
+      submenu: exportJobs.length > 0
+        ? exportJobs.map(job => ({
+          label: `${job.label}  ${EXPORT_JOB_STATUS_TEXT[job.status]}${job.status === 'running' ? ` ${job.progress}%` : ''}`,
+          submenu: [
+            { label: '取消', enabled: job.status === 'queued' || job.status === 'running', click: () => cancelExportJob(job.id) },
+            { label: '重试', enabled: job.status === 'failed' || job.status === 'cancelled', click: () => retryExportJob(job.id) },
+            { label: '从列表中移除', enabled: job.status !== 'queued' && job.status !== 'running', click: () => removeExportJob(job.id) }
+          ]
+        }))
+        : [{ label: '暂无导出任务', enabled: false }]
+    },
+    {
+      label: '导出预设',
+      submenu: exportPresets.length > 0
+        ? exportPresets.map(preset => ({
+          label: preset.shortcut ? `${preset.name}\t${preset.shortcut}` : preset.name,
+          type: 'radio',
+          checked: activePreset === preset.name,
+          click: () => applyExportPreset(preset.name)
+        }))
+        : [{ label: '暂无导出预设', enabled: false }]
+    },
+    {
+      label: '定时任务',
+      submenu: scheduledJobs.length > 0
+        ? scheduledJobs.map(job => ({
+          label: describeScheduledJob(job),
+          submenu: [
+            { label: '立即执行', enabled: !isRecording, click: () => runScheduledJob(job.id) },
+            { label: '取消此任务', click: () => cancelScheduledJob(job.id) }
+          ]
+        }))
+        : [{ label: '暂无定时任务', enabled: false }]
+    },
+    { type: 'separator' },
+    {
+      label: isAutoStartEnabled ? '关闭开机自启动' : '开启开机自启动',
+      click: () => {
+        app.setLoginItemSettings({ openAtLogin: !isAutoStartEnabled });
+        updateTrayMenu(); // 重新构建菜单以更新标签
+      }
+    },
+    {
+      label: '退出应用',
+      click: () => {
+        console.log('用户点击退出应用');
+        isQuitting = true;
+        // 清理资源
+        try {
+          recorder.abort();
+          cleanupExportJobs();
+        } catch (e) {
+          console.error('清理临时文件失败:', e);
+        }
+        
+        // 注销快捷键
+        try {
+          globalShortcut.unregisterAll();
+        } catch (e) {
+          console.error('注销快捷键失败:', e);
+        }
+        
+        // 销毁托盘
+        try {
+          if (tray) {
+            tray.destroy();
+            tray = null;
+          }
+        } catch (e) {
+          console.error('销毁托盘失败:', e);
+        }
+        
+        // 退出应用
+        try { app.quit(); } catch (_) {}
+      }
+    }
+  ]);
+  
+  tray.setContextMenu(contextMenu);
+}
+
+// 创建托盘
+function createTray() {
+  const trayIconPath = path.join(__dirname, 'assets', 'tray-icon.png');
+  tray = new Tray(trayIconPath);
+  
+  updateTrayMenu();
+  tray.setToolTip('GIF Capture Tool');
+  
+  // 双击托盘图标显示/隐藏窗口
+  tray.on('double-click', () => {
+    if (mainWindow) {
+      if (mainWindow.isVisible()) {
+        mainWindow.hide();
+      } else {
+        mainWindow.show();
+        mainWindow.focus();
+      }
+    }
+  });
+}
+
+// 应用准备就绪
+// ---------- 本地控制接口 ----------
+// 设置保存在 settings.json 的 controlServer 中：{ enabled, port, token }，默认关闭
+
+const DEFAULT_CONTROL_SERVER = { enabled: false, port: 17321, token: '' };
+
+function loadControlServerSettings() {
+  const settings = cachedSettings || loadSettings();
+  const control = { ...DEFAULT_CONTROL_SERVER, ...(settings.controlServer || {}) };
+  if (control.enabled && !control.token) {
+    // 首次启用时生成令牌并写回设置，脚本从 settings.json 读取
+    control.token = crypto.randomBytes(24).toString('hex');
+    saveSettings({ controlServer: control });
+  }
+  return control;
+}
+
+// 控制接口数值参数的取值范围，与主界面的输入框一致；positive 的字段必须大于 0，超出范围的值收到范围内
+const CONTROL_NUMBER_RANGES = {
+  duration: { min: 1, max: 10, positive: true },
+  fps: { min: 10, max: 60, positive: true },
+  width: { min: 320, max: 1920, positive: true },
+  countdown: { min: 0, max: 10 },
+  maxSizeMB: { min: 0, max: Infinity }
+};
+
+// 控制接口的录制参数：只接受与 start-recording 相同的字段，默认录制直到 /stop，完成后不弹出文件夹、不改剪贴板
+function controlRecordingOptions(body) {
+  const options = {
+    untilStopped: body.untilStopped !== undefined ? !!body.untilStopped : body.duration === undefined,
+    clipboard: !!body.clipboard,
+    revealOutput: false,
+    editAfterCapture: false
+  };
+  Object.keys(CONTROL_NUMBER_RANGES).forEach((key) => {
+    if (body[key] === undefined) return;
+    const range = CONTROL_NUMBER_RANGES[key];
+    const value = Number(body[key]);
+    if (body[key] === null || body[key] === '' || !Number.isFinite(value)) throw new Error(`${key} 必须是数字`);
+    if (range.positive ? value <= 0 : value < 0) throw new Error(`${key} 必须${range.positive ? '大于 0' : '是非负数字'}`);
+    options[key] = Math.min(range.max, Math.max(range.min, value));
+  });
+  if (body.format !== undefined) {
+    if (!EXPORT_FORMATS.includes(body.format)) throw new Error(`不支持的格式: ${body.format}`);
+    options.format = body.format;
+  }
+  if (body.region) {
+    const { x, y, width, height } = body.region;
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      throw new Error('region 必须为 { x, y, width, height }');
+    }
+    // 与区域选择一致，宽高取偶数
+    options.region = { x: Math.round(x), y: Math.round(y), width: Math.round(width / 2) * 2, height: Math.round(height / 2) * 2 };
+  }
+  if (body.displayId !== undefined && body.displayId !== null) options.displayId = String(body.displayId);
+  if (body.redactionPreset) options.redactionPreset = String(body.redactionPreset);
+  if (body.showCursor !== undefined) options.showCursor = !!body.showCursor;
+  if (body.extraOutputs !== undefined) options.extraOutputs = normalizeExtraOutputs(body.extraOutputs);
+  if (body.outputFile) {
+    const outputFile = String(body.outputFile);
+    if (!path.isAbsolute(outputFile) || !fs.existsSync(path.dirname(outputFile))) {
+      throw new Error('outputFile 必须是已存在目录下的绝对路径');
+    }
+    options.outputFile = outputFile;
+    if (!options.format) {
+      options.format = formatFromExtension(path.extname(outputFile)) || 'gif';
+    }
+  }
+  return options;
+}
+
+// /start：与 start-recording 走同一条录制路径，录制真正开始（倒计时结束）后即返回，不等待录制结束
+function controlStartRecording(body) {
+  let options;
+  try {
+    options = controlRecordingOptions(body);
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+  return new Promise((resolve) => {
+    let settled = false;
+    const done = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    };
+    options.onStarted = () => done({ success: true, started: true, untilStopped: !!options.untilStopped });
+    startScreenRecording(options).then(done, (error) => {
+      done(error && error.success === false ? error : { success: false, message: error && error.message ? error.message : String(error) });
+    });
+  });
+}
+
+function controlStatus() {
+  return {
+    success: true,
+    // 抓屏结束后 recording 即变为 false，转换在导出队列中进行；exporting 为 0 后即可读取 /last-file
+    recording: isRecording,
+    exporting: pendingExportJobCount(),
+    countdown: !!countdownState,
+    ...recorder.status(),
+    timelapse: !!timelapseSession,
+    lastFile: lastOutputFile
+  };
+}
+
+function controlLastFile() {
+  if (!lastOutputFile) {
+    return { success: false, message: '还没有生成过文件' };
+  }
+  return { success: true, filePath: lastOutputFile, exists: fs.existsSync(lastOutputFile) };
+}
+
+async function startControlServerFromSettings() {
+  const control = loadControlServerSettings();
+  if (!control.enabled) return;
+  try {
+    controlServer = await startControlServer({
+      port: Number(control.port) || DEFAULT_CONTROL_SERVER.port,
+      token: control.token,
+      handlers: {
+        start: controlStartRecording,
+        stop: () => requestStopRecording(),
+        status: controlStatus,
+        lastFile: controlLastFile
+      }
+    });
+    console.log(`本地控制接口已启动: http://127.0.0.1:${controlServer.port}`);
+  } catch (e) {
+    console.error('启动本地控制接口失败:', e && e.message ? e.message : e);
+  }
+}
+
+// ---------- 命令行模式 ----------
+// 例：electron . record --region 0,0,800,600 --duration 5 --fps 20 --output docs/demo.gif
+//     electron . convert input.mp4 --output demo.gif --width 480
+// 不创建主窗口和托盘，完成一次录制/转换后以退出码结束进程
+const CLI_USAGE = `用法:
+  gif-capture record [选项]              录制一次（默认录制主显示器）
+  gif-capture convert <视频文件> [选项]   把已有视频转换为 GIF/MP4/WebM/WebP/APNG/AVIF
+
+选项:
+  --region x,y,宽,高       录制区域（物理像素），省略时录制整个显示器
+  --display <id|all>       全屏录制的显示器 id，all 为整个桌面
+  --duration <秒>          录制时长，默认 3
+  --fps <帧率>             默认 15
+  --width <像素>           输出宽度，默认 640
+  --format <格式>          gif/mp4/webm/webp/apng/avif，默认取 --output 的扩展名（.png 为 apng），否则为 gif
+  --output <文件>          输出路径，默认保存到设置的保存目录（convert 默认与输入同名）
+  --countdown <秒>         开始前倒计时，默认 0
+  --no-cursor              不录入鼠标指针
+  --no-clipboard           GIF 等动图完成后不复制到剪贴板
+  --max-size <MB>          GIF 体积上限，超出时自动降低帧率/尺寸/颜色数重新编码
+  --also <格式[:宽度]>     record 时额外生成的输出，可重复（最多 3 个），省略宽度时保持原始尺寸，如 --also mp4
+  --verbose                在终端输出详细日志
+  --help                   显示本帮助
+
+退出码: 0 成功，1 录制/转换失败，2 参数错误，3 FFmpeg 或抓屏方式不可用，130 被中断`;
+
+const CLI_EXIT_CODES = { success: 0, failed: 1, usage: 2, unavailable: 3, interrupted: 130 };
+
+// 解析命令行参数。不是命令行调用时返回 null；参数有误时返回 { command: 'help', error }
+function parseCliArgs(argv) {
+  const command = ['record', 'convert'].includes(argv[0]) ? argv[0] : null;
+  const rest = command ? argv.slice(1) : argv;
+  // 不写子命令时，出现录制参数也视为 record
+  const implicit = rest.some(a => ['--region', '--output', '--help'].includes(a.split('=')[0]));
+  if (!command && !implicit) return null;
+
+  const cli = {
+    command: command || 'record',
+    input: null,
+    region: null,
+    displayId: null,
+    duration: 3,
+    fps: 15,
+    width: 640,
+    format: null,
+    output: null,
+    countdown: 0,
+    showCursor: true,
+    clipboard: true,
+    maxSizeMB: null,
+    extraOutputs: [],
+    verbose: false
+  };
+  const errors = [];
+  const toNumber = (name, value, min, max, integer = false) => {
+    if (value === undefined) return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+      errors.push(`${name} 应为 ${min}-${max} 之间的${integer ? '整数' : '数字'}: ${value}`);
+      return null;
+    }
+    return n;
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    let arg = rest[i];
+    let value = null;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      value = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+    const takeValue = () => {
+      if (value !== null) return value;
+      i += 1;
+      if (i >= rest.length) errors.push(`${arg} 缺少参数值`);
+      return rest[i];
+    };
+
+    switch (arg) {
+      case '--help':
+      case '-h':
+        return { command: 'help' };
+      case '--region': {
+        const raw = takeValue();
+        const m = /^(\d+),(\d+),(\d+),(\d+)$/.exec(String(raw || ''));
+        if (!m || Number(m[3]) < 16 || Number(m[4]) < 16) {
+          errors.push(`--region 格式应为 x,y,宽,高（宽高至少 16）: ${raw}`);
+        } else {
+          // 宽高取偶数，满足 libx264 要求
+          cli.region = { x: Number(m[1]), y: Number(m[2]), width: Number(m[3]) - Number(m[3]) % 2, height: Number(m[4]) - Number(m[4]) % 2 };
+        }
+        break;
+      }
+      case '--display':
+        cli.displayId = takeValue() || null;
+        break;
+      case '--duration':
+        cli.duration = toNumber('--duration', takeValue(), 0.1, 3600);
+        break;
+      case '--fps':
+        cli.fps = toNumber('--fps', takeValue(), 1, 60, true);
+        break;
+      case '--width':
+        cli.width = toNumber('--width', takeValue(), 16, 7680, true);
+        break;
+      case '--format':
+        cli.format = String(takeValue() || '').toLowerCase();
+        if (!EXPORT_FORMATS.includes(cli.format)) errors.push(`--format 只支持 ${EXPORT_FORMATS.join('/')}`);
+        break;
+      case '--output':
+        cli.output = takeValue() || null;
+        break;
+      case '--countdown':
+        cli.countdown = toNumber('--countdown', takeValue(), 0, 10, true);
+        break;
+      case '--no-cursor':
+        cli.showCursor = false;
+        break;
+      case '--no-clipboard':
+        cli.clipboard = false;
+        break;
+      case '--max-size':
+        cli.maxSizeMB = toNumber('--max-size', takeValue(), 0.1, 1000);
+        break;
+      case '--also': {
+        const raw = String(takeValue() || '');
+        const m = raw.toLowerCase().match(/^([a-z0-9]+)(?::(\d+))?$/);
+        if (!m || !EXPORT_FORMATS.includes(m[1])) {
+          errors.push(`--also 格式应为 ${EXPORT_FORMATS.join('/')}[:宽度]: ${raw}`);
+        } else {
+          // 大小上限与主输出相同（只对 GIF 生效）
+          cli.extraOutputs.push({ format: m[1], width: m[2] ? Number(m[2]) : null });
+        }
+        break;
+      }
+      case '--verbose':
+        cli.verbose = true;
+        break;
+      default:
+        if (!arg.startsWith('-') && cli.command === 'convert' && !cli.input) {
+          cli.input = arg;
+        } else if (arg.startsWith('-')) {
+          // Electron/Chromium 自身的开关（如 --no-sandbox）也会出现在这里，只提示不报错
+          console.error(`忽略未知参数: ${arg}`);
+        } else {
+          errors.push(`多余的参数: ${arg}`);
+        }
+    }
+  }
+
+  if (!cli.format) {
+    cli.format = (cli.output && formatFromExtension(path.extname(cli.output))) || 'gif';
+  }
+  if (cli.command === 'convert' && !cli.input) errors.push('convert 需要指定输入视频文件');
+  if (cli.command === 'convert' && cli.extraOutputs.length > 0) errors.push('--also 只能用于 record');
+  try {
+    cli.extraOutputs = normalizeExtraOutputs(cli.extraOutputs.map(output => ({ ...output, maxSizeMB: cli.maxSizeMB })));
+  } catch (e) {
+    errors.push(`--also ${e.message}`);
+  }
+  if (errors.length > 0) return { command: 'help', error: errors.join('\n') };
+  return cli;
+}
+
+// 打包后 argv 为 [程序, ...参数]，开发时为 [electron, 应用目录, ...参数]
+const cliCommand = parseCliArgs(process.argv.slice(app.isPackaged ? 1 : 2));
+
+// 命令行输出（结果路径、帮助），与 console.log 相同的编码处理，但不受 consoleQuiet 影响
+function cliPrint(text) {
+  writeLogToFile(text);
+  if (process.platform === 'win32' && CONSOLE_ENCODING === 'gbk') {
+    try {
+      process.stdout.write(iconv.encode(text + '\n', 'gbk'));
+      return;
+    } catch (_) {}
+  }
+  process.stdout.write(text + '\n');
+}
+
+// 命令行模式下同步复制到剪贴板（进程随后退出，不能用 autoCopyToClipboard 的延迟复制）
+function cliCopyToClipboard(filePath) {
+  try {
+    if (!copyImageFileToClipboard(filePath)) clipboard.writeText(filePath);
+  } catch (e) {
+    console.error('复制到剪贴板失败:', e && e.message ? e.message : e);
+  }
+}
+
+// GIF 体积上限的结果输出到 stderr，stdout 只保留文件路径
+function cliReportOptimization(report) {
+  if (!report) return;
+  if (report.fits) {
+    console.error(`GIF 已压缩到上限以内: ${(report.size / 1000 / 1000).toFixed(2)} MB · ${report.label}`);
+  } else {
+    console.error(`警告: 无法压缩到 ${(report.maxBytes / 1000 / 1000).toFixed(1)} MB 以内，已保留最小的结果: ${(report.size / 1000 / 1000).toFixed(2)} MB · ${report.label}`);
+  }
+}
+
+async function runCliRecord(cli) {
+  const backend = captureBackends.getCaptureBackend();
+  if (!backend.available) {
+    console.error(`无法录屏: ${backend.reason}`);
+    return CLI_EXIT_CODES.unavailable;
+  }
+  const outputFile = cli.output ? path.resolve(cli.output) : null;
+  if (outputFile) fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+
+  // Ctrl+C：取消倒计时/终止录制，不保存
+  let interrupted = false;
+  process.once('SIGINT', () => {
+    interrupted = true;
+    requestStopRecording();
+  });
+
+  let result;
+  try {
+    result = await startScreenRecording({
+      duration: cli.duration,
+      fps: cli.fps,
+      width: cli.width,
+      format: cli.format,
+      region: cli.region,
+      displayId: cli.displayId,
+      countdown: cli.countdown,
+      showCursor: cli.showCursor,
+      maxSizeMB: cli.maxSizeMB,
+      extraOutputs: cli.extraOutputs,
+      outputFile,
+      clipboard: false,
+      revealOutput: false
+    });
+  } catch (error) {
+    // 录制失败时会话以 { success: false, message } 拒绝
+    result = error;
+  }
+
+  if (result && result.success) {
+    const outputs = result.outputs || [{ filePath: result.filePath, optimization: result.optimization }];
+    outputs.forEach(output => cliReportOptimization(output.optimization));
+    if (cli.clipboard && ANIMATED_IMAGE_FORMATS.includes(cli.format)) cliCopyToClipboard(result.filePath);
+    // 每个生成的文件一行，主输出在前；额外输出失败时退出码为 1
+    outputs.forEach(output => cliPrint(output.filePath));
+    (result.failed || []).forEach(output => console.error(`生成 ${output.format} 失败: ${output.message}`));
+    return result.failed && result.failed.length > 0 ? CLI_EXIT_CODES.failed : CLI_EXIT_CODES.success;
+  }
+  if (interrupted || (result && result.cancelled)) {
+    console.error('录制已取消');
+    return CLI_EXIT_CODES.interrupted;
+  }
+  console.error(`录制失败: ${result && result.message ? result.message : result}`);
+  return CLI_EXIT_CODES.failed;
+}
+
+async function runCliConvert(cli) {
+  const inputFile = path.resolve(cli.input);
+  if (!fs.existsSync(inputFile)) {
+    console.error(`找不到输入文件: ${inputFile}`);
+    return CLI_EXIT_CODES.usage;
+  }
+  const outputFile = cli.output
+    ? path.resolve(cli.output)
+    : path.join(path.dirname(inputFile), `${path.basename(inputFile, path.extname(inputFile))}.${formatExtension(cli.format)}`);
+  if (outputFile === inputFile) {
+    console.error('输出文件不能与输入文件相同，请用 --output 指定');
+    return CLI_EXIT_CODES.usage;
+  }
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+
+  try {
+    const duration = probeVideoDuration(inputFile) || 1;
+    const maxBytes = cli.format === 'gif' ? megabytesToBytes(cli.maxSizeMB) : null;
+    const result = await convertToFormat(inputFile, outputFile, cli.format, cli.width, cli.fps, duration, { maxBytes });
+    if (maxBytes) cliReportOptimization(result);
+  } catch (error) {
+    console.error(`转换失败: ${error && error.message ? error.message : error}`);
+    return CLI_EXIT_CODES.failed;
+  }
+  if (cli.clipboard && ANIMATED_IMAGE_FORMATS.includes(cli.format)) cliCopyToClipboard(outputFile);
+  cliPrint(outputFile);
+  return CLI_EXIT_CODES.success;
+}
+
+async function runCli(cli) {
+  if (cli.command === 'help') {
+    if (cli.error) {
+      console.error(cli.error);
+      console.error(CLI_USAGE);
+      return CLI_EXIT_CODES.usage;
+    }
+    cliPrint(CLI_USAGE);
+    return CLI_EXIT_CODES.success;
+  }
+  if (!checkFFmpegAvailability()) {
+    console.error(`FFmpeg不可用，请检查安装。路径: ${ffmpegPath}`);
+    return CLI_EXIT_CODES.unavailable;
+  }
+  return cli.command === 'convert' ? runCliConvert(cli) : runCliRecord(cli);
+}
+
+app.whenReady().then(() => {
+  if (cliCommand) {
+    consoleQuiet = !cliCommand.verbose;
+    if (process.platform === 'darwin' && app.dock) app.dock.hide();
+    runCli(cliCommand)
+      .catch((error) => {
+        console.error('命令行执行失败:', error && error.message ? error.message : error);
+        return CLI_EXIT_CODES.failed;
+      })
+      .then(code => app.exit(code));
+    return;
+  }
+
+  createMainWindow();
+  createTray();
+
+  // 加载并注册全局快捷键
+  const shortcuts = loadShortcuts();
+  registerAllShortcuts(shortcuts);
+
+  // 恢复上次保存的定时任务
+  restoreScheduledJobs();
+
+  // 按设置启动本地控制接口
+  startControlServerFromSettings();
+
+  // 显示器插拔或分辨率变化时通知界面刷新显示器列表
+  ['display-added', 'display-removed', 'display-metrics-changed'].forEach((eventName) => {
+    screen.on(eventName, () => {
+      try { if (mainWindow) mainWindow.webContents.send('displays-changed'); } catch (_) {}
+    });
+  });
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createMainWindow();
+    }
+  });
+});
+
+// 添加错误处理
+process.on('uncaughtException', (error) => {
+  console.error('未捕获的异常:', error);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('未处理的Promise拒绝:', reason);
+});
+
+// 所有窗口关闭时退出应用
+app.on('window-all-closed', () => {
+  // 在Windows和Linux上，当所有窗口关闭时不退出应用，而是隐藏到托盘
+  // 在macOS上保持原有行为
+  // 命令行模式下倒计时窗口关闭不应结束进程，由 runCli 负责退出
+  if (process.platform === 'darwin' && !cliCommand) {
+    app.quit();
+  }
+  // 其他平台不退出，应用继续在托盘中运行
+});
+// 选择保存路径
+ipcMain.handle('choose-save-path', async () => {
+  try {
+    const res = await dialog.showOpenDialog({
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (res.canceled || !res.filePaths || !res.filePaths[0]) {
+      return { success: false, message: '已取消选择' };
+    }
+    const dir = res.filePaths[0];
+    setSavePath(dir);
+    return { success: true, path: dir };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+
+// 获取保存路径
+ipcMain.handle('get-save-path', () => {
+  try {
+    const p = getSavePath();
+    return { success: true, path: p };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+
+// 应用即将退出时注销快捷键
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  try { recorder.abort(); } catch (_) {}
+  try { cleanupExportJobs(); } catch (_) {}
+  if (controlServer) {
+    controlServer.close();
+    controlServer = null;
+  }
+});
+
+// IPC 事件处理
+ipcMain.handle('get-shortcuts', () => {
+  try {
+    const s = loadShortcuts();
+    return { success: true, shortcuts: s };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+
+ipcMain.handle('set-shortcuts', (event, next) => {
+  try {
+    const merged = { ...DEFAULT_SHORTCUTS, ...next };
+    // 尝试注册新快捷键
+    registerAllShortcuts(merged);
+    // 持久化
+    saveShortcuts(merged);
+    return { success: true, shortcuts: merged };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+
+ipcMain.handle('reset-shortcuts', () => {
+  try {
+    registerAllShortcuts(DEFAULT_SHORTCUTS);
+    saveShortcuts(DEFAULT_SHORTCUTS);
+    return { success: true, shortcuts: { ...DEFAULT_SHORTCUTS } };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+// 暂停/恢复全局快捷键（用于在录入快捷键时避免冲突）
+ipcMain.handle('pause-shortcuts', () => {
+  try {
+    unregisterAllShortcuts();
+    return { success: true };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+
+ipcMain.handle('resume-shortcuts', () => {
+  try {
+    const s = loadShortcuts();
+    registerAllShortcuts(s);
+    return { success: true };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+});
+ipcMain.handle('get-screen-sources', async () => {
+  try {
+    const sources = await desktopCapturer.getSources({
+      types: ['screen']
+    });
+    return sources;
+  } catch (error) {
+    console.error('获取屏幕源失败:', error);
+    return [];
+  }
+});
+
+// ---------- 录制会话 ----------
+// 全屏、区域、窗口录制（包括快捷键、托盘、定时任务）都从 beginRecordingSession 开始：
+// 检查状态和抓屏后端、隐藏主窗口、倒计时，再由录制会话（recording-session.js）切换录制状态并启动分段录制，
+// 结束后的拼接、转换也走同一条路径。抓屏参数由 capture-backends.js 中的当前后端生成
+
+// 页面上的录制参数（区域录制、窗口录制使用），overrides 覆盖对应字段
+function recordingOptionsFromPage(overrides = {}) {
+  const pageData = currentPageData || {};
+  return {
+    duration: pageData.duration || 1,
+    fps: pageData.fps || 15,
+    width: pageData.width || 640,
+    format: pageData.format || 'gif',
+    untilStopped: !!pageData.untilStopped,
+    editAfterCapture: !!pageData.editAfterCapture,
+    showCursor: pageData.showCursor !== false,
+    highlightCursor: !!pageData.highlightCursor,
+    showClicks: !!pageData.showClicks,
+    showKeystrokes: !!pageData.showKeystrokes,
+    keepMaster: !!pageData.keepMaster,
+    maxSizeMB: pageData.maxSizeMB || null,
+    exportPreset: pageData.exportPreset || null,
+    extraOutputs: pageData.extraOutputs || [],
+    ...overrides
+  };
+}
+
+// 录制编码前的滤镜参数：后端的前置滤镜（拷回内存、裁剪选区）、隐私遮挡和窗口尺寸取偶数
+function captureFilterArgs(options) {
+  // 隐私遮挡在录制编码时直接处理，临时文件中也不会留下原始内容
+  const inputFilter = options.inputFilter || null;
+  if (options.redactions && options.redactions.length > 0) {
+    const graph = buildRedactionGraph(options.redactions, inputFilter ? 'captured' : '0:v');
+    return ['-filter_complex', inputFilter ? `[0:v]${inputFilter}[captured];${graph}` : graph, '-map', '[redacted]', '-map', '0:a?'];
+  }
+  // 窗口尺寸可能是奇数，裁成偶数以满足 libx264/yuv420p
+  const filters = [inputFilter, options.windowSource ? 'crop=trunc(iw/2)*2:trunc(ih/2)*2' : null].filter(Boolean);
+  return filters.length > 0 ? ['-vf', filters.join(',')] : [];
+}
+
+// 开始一次录制。countdown 为 { seconds, region, display }，倒计时窗口会避开 region
+async function beginRecordingSession(capture, options, { countdown = {}, logLabel = 'FFmpeg 录制命令' } = {}) {
+  // 区域/窗口录制时主窗口已隐藏、发起的界面已关闭，失败时把主窗口和错误带回来
+  const fail = (message) => {
+    try {
+      if (mainWindow && !mainWindow.isVisible()) {
+        mainWindow.show();
+        notifyMainWindow('recording-error', message);
+      }
+    } catch (_) {}
+    return { success: false, message };
+  };
+
+  if (isRecording || countdownState) {
+    return fail('正在录制中...');
+  }
+  // 剪辑窗口同时只能编辑一段录制
+  if (pendingEdit) {
+    return fail('请先在剪辑窗口中完成或放弃上一段录制');
+  }
+  // 检查FFmpeg是否可用
+  if (!checkFFmpegAvailability()) {
+    return fail(`FFmpeg不可用，请检查安装。路径: ${ffmpegPath}`);
+  }
+  const backend = captureBackends.getCaptureBackend();
+  if (!backend.available) {
+    return fail(`无法录屏: ${backend.reason}`);
+  }
+
+  // 构建FFmpeg录制命令参数
+  let input;
+  try {
+    input = buildCaptureInput(backend, capture, options);
+  } catch (error) {
+    return fail(error.message);
+  }
+  let extraOutputs;
+  try {
+    extraOutputs = normalizeExtraOutputs(options.extraOutputs);
+  } catch (error) {
+    return fail(error.message);
+  }
+  const sessionOptions = { ...options, extraOutputs, inputFilter: input.inputFilter };
+
+  try {
+    // 先隐藏窗口，而不是最小化，避免缩放过程被录制
+    if (mainWindow) mainWindow.hide();
+
+    // 倒计时，给用户时间把鼠标移到位或打开菜单
+    if (!(await runCountdown(countdown.seconds, countdown.region || null, countdown.display || null))) {
+      return notifyCountdownCancelled();
+    }
+
+    // 等待一小段时间确保窗口完全隐藏
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // options.outputFile 指定输出路径时，临时文件放在同一目录
+    const preferredDir = getSavePath();
+    const saveDir = options.outputFile
+      ? path.dirname(options.outputFile)
+      : ((preferredDir && fs.existsSync(preferredDir)) ? preferredDir : path.join(os.homedir(), 'Desktop'));
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const tempFile = path.join(saveDir, `temp-capture-${timestamp}.mp4`);
+    const outputFile = options.outputFile || path.join(saveDir, `capture-${timestamp}.${formatExtension(options.format)}`);
+
+    // 执行录制（分段录制，结束后统一拼接、转换）
+    const recording = recorder.start({ inputArgs: input.inputArgs, filterArgs: captureFilterArgs(sessionOptions), options: sessionOptions, tempFile, outputFile, logLabel });
+    if (options.onStarted) options.onStarted();
+    return recording;
+
+  } catch (error) {
+    notifyMainWindow('recording-error', error.message);
+    return { success: false, message: error.message };
+  }
+}
+
+// 全屏（或指定区域）录制，start-recording 与定时任务共用
+async function startScreenRecording(options = {}) {
+  const {
+    duration = 1,
+    fps = 15,
+    width = 640,
+    format = 'gif',
+    region = null, // {x, y, width, height}，物理像素
+    redactionPreset = null, // 隐私遮挡预设名称
+    countdown = 0, // 开始前倒计时（秒）
+    displayId = null // 全屏录制的显示器，'all' 为整个桌面，默认主显示器
+  } = options;
+  // 指定 region 时按主显示器处理，否则录制所选显示器
+  const target = region
+    ? { display: screen.getPrimaryDisplay(), displayIndex: 0, region, origin: { x: region.x, y: region.y }, frame: region }
+    : resolveCaptureTarget(displayId);
+  const sessionOptions = {
+    ...options,
+    duration,
+    fps,
+    width,
+    format,
+    captureOrigin: target.origin
+  };
+
+  const preset = redactionPreset ? loadRedactionPresets().find(p => p.name === redactionPreset) : null;
+  if (preset) {
+    sessionOptions.redactions = resolveRedactions(preset.redactions, findDisplay(preset.displayId), target.origin, target.frame);
+  }
+
+  return beginRecordingSession(
+    { region: target.region, frame: target.frame, displayIndex: target.displayIndex, displayOrigin: target.displayOrigin, showRegion: !!region },
+    sessionOptions,
+    { countdown: { seconds: countdown, display: target.display }, logLabel: 'FFmpeg 录制命令' }
+  );
+}
+
+ipcMain.handle('start-recording', (event, options = {}) => {
+  // 导出失败时会话以 { success: false, exportFailed: true } 拒绝，转为普通结果返回，界面据此区分录制失败和导出失败
+  return startScreenRecording(options).catch(error => (error && error.success === false
+    ? error
+    : { success: false, message: error && error.message ? error.message : String(error) }));
+});
+
+// 停止录制
+ipcMain.handle('stop-recording', () => {
+  return requestStopRecording();
+});
+
+// 暂停录制（结束当前分段）
+ipcMain.handle('pause-recording', () => {
+  return recorder.pause();
+});
+
+// 继续录制（开始新分段）
+ipcMain.handle('resume-recording', () => {
+  return recorder.resume();
+});
+
+// 复制文件到剪贴板
+ipcMain.handle('copy-to-clipboard', async (event, filePath) => {
+  try {
+    console.log('手动复制到剪贴板:', filePath);
+    if (fs.existsSync(filePath)) {
+      // 对于图片文件，直接复制到剪贴板
+      const ext = path.extname(filePath).toLowerCase();
+      
+      // 尝试把图片文件复制到剪贴板，失败回退为复制路径
+      try {
+        const ok = copyImageFileToClipboard(filePath);
+        if (!ok) {
+          try { clipboard.writeText(filePath); } catch (e) { console.error('回退写入路径失败:', e && e.message ? e.message : e); }
+          console.log('手动复制文件路径成功:', filePath);
+        } else {
+          console.log('手动复制图片成功:', filePath);
+        }
+      } catch (error) {
+        console.error('手动复制失败:', error && error.message ? error.message : error);
+        try { clipboard.writeText(filePath); } catch (_) {}
+        console.log('手动复制文件路径成功:', filePath);
+      }
+      return { success: true };
+    }
+    console.log('文件不存在:', filePath);
+    return { success: false, message: '文件不存在' };
+  } catch (error) {
+    console.error('手动复制失败:', error);
+    return { success: false, message: error.message };
+  }
+});
+
+// 打开文件所在目录
+ipcMain.handle('open-file-location', async (event, filePath) => {
+  try {
+    const directory = path.dirname(filePath);
+    shell.showItemInFolder(filePath);
+    return { success: true };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
+// 录制历史：读取列表（同时清理文件已不存在的记录）；复制、打开位置复用上面的处理
+ipcMain.handle('get-history', () => {
+  try {
+    return { success: true, entries: pruneMissingHistory().map(historyEntryForRenderer) };
+  } catch (e) {
+    console.error('读取录制历史失败:', e && e.message ? e.message : e);
+    return { success: false, message: e && e.message ? e.message : String(e), entries: [] };
+  }
+});
+
+// 录制历史：重新导出为其他格式
+ipcMain.handle('history-export', async (event, id, format) => {
+  const entry = findHistoryEntry(id);
+  if (!entry || !fs.existsSync(entry.filePath)) {
+    pruneMissingHistory();
+    return { success: false, message: '文件不存在' };
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { success: false, message: `不支持的格式: ${format}` };
+  }
+  if (!checkFFmpegAvailability()) {
+    return { success: false, message: `FFmpeg不可用，请检查安装。路径: ${ffmpegPath}` };
+  }
+  try {
+    return { success: true, filePath: await exportHistoryEntry(entry, format) };
+  } catch (error) {
+    console.error('重新导出失败:', error && error.message ? error.message : error);
+    return { success: false, message: error.message };
+  }
+});
+
+// 录制历史：重命名文件（不含扩展名，扩展名保持不变）
+ipcMain.handle('history-rename', (event, id, name) => {
+  const entry = findHistoryEntry(id);
+  if (!entry || !fs.existsSync(entry.filePath)) {
+    pruneMissingHistory();
+    return { success: false, message: '文件不存在' };
+  }
+  const ext = path.extname(entry.filePath);
+  let baseName = typeof name === 'string' ? name.trim() : '';
+  if (ext && baseName.toLowerCase().endsWith(ext.toLowerCase())) {
+    baseName = baseName.slice(0, -ext.length).trim();
+  }
+  if (!baseName || baseName === '.' || baseName === '..' || /[\\/:*?"<>|]/.test(baseName)) {
+    return { success: false, message: '文件名无效' };
+  }
+  const newPath = path.join(path.dirname(entry.filePath), baseName + ext);
+  if (newPath === entry.filePath) {
+    return { success: true, filePath: newPath };
+  }
+  if (fs.existsSync(newPath)) {
+    return { success: false, message: '已存在同名文件' };
+  }
+  try {
+    fs.renameSync(entry.filePath, newPath);
+  } catch (e) {
+    console.error('重命名失败:', e && e.message ? e.message : e);
+    return { success: false, message: e && e.message ? e.message : String(e) };
+  }
+  if (lastOutputFile === entry.filePath) lastOutputFile = newPath;
+  saveHistory(loadHistory().map(item => (item.id === id ? { ...item, filePath: newPath } : item)));
+  return { success: true, oldPath: entry.filePath, filePath: newPath };
+});
+
+// 录制历史：删除文件（移到回收站）并移除记录
+ipcMain.handle('history-delete', async (event, id) => {
+  const entry = findHistoryEntry(id);
+  if (!entry) {
+    return { success: false, message: '记录不存在' };
+  }
+  if (fs.existsSync(entry.filePath)) {
+    try {
+      await shell.trashItem(entry.filePath);
+    } catch (e) {
+      console.error('删除文件失败:', e && e.message ? e.message : e);
+      return { success: false, message: e && e.message ? e.message : String(e) };
+    }
+  }
+  const remaining = loadHistory().filter(item => item.id !== id);
+  removeHistoryFiles(entry, remaining);
+  saveHistory(remaining);
+  return { success: true };
+});
+
+// 重新导出：打开窗口（{ historyId } 或 { filePath }）、读取来源、执行转换
+ipcMain.handle('open-reexport', (event, source) => {
+  return openReexportWindow(source);
+});
+
+ipcMain.handle('get-reexport-source', () => {
+  if (!reexportSource) {
+    return { success: false, message: '没有要导出的文件' };
+  }
+  return { success: true, source: reexportSource, formats: EXPORT_FORMATS.filter(format => exportFormatSupport(format).available) };
+});
+
+ipcMain.handle('run-reexport', (event, settings) => {
+  return runReexport(settings);
+});
+
+ipcMain.handle('close-reexport-window', () => {
+  if (reexportWindow && !reexportRunning) reexportWindow.close();
+  return { success: true };
+});
+
+// 显示区域选择窗口
+ipcMain.handle('show-region-selector', () => {
+  const backend = captureBackends.getCaptureBackend();
+  if (!backend.available) {
+    return { success: false, message: `无法录屏: ${backend.reason}` };
+  }
+  // 录制开始时最小化主窗口
+  mainWindow.hide();
+  createOverlayWindows();
+  return { success: true };
+});
+
+// 处理区域选择结果
+ipcMain.handle('region-selected', async (event, region) => {
+  console.log('收到区域选择结果:', region);
+  
+  // 选区坐标相对所在显示器，先换算成屏幕逻辑坐标
+  const display = findDisplay(region.displayId);
+  const displayIndex = Math.max(0, screen.getAllDisplays().findIndex(d => d.id === display.id));
+  const screenRegion = {
+    x: display.bounds.x + region.x,
+    y: display.bounds.y + region.y,
+    width: region.width,
+    height: region.height
+  };
 
-  mainWindow.loadFile('index.html');
+  console.log('屏幕信息:', {
+    displayId: display.id,
+    scaleFactor: display.scaleFactor,
+    workArea: display.workArea,
+    bounds: display.bounds
+  });
+  
+  // 关闭区域选择窗口
+  // 此处立即开始录制，不显示主窗口，避免遮挡
+  closeOverlayWindows(false);
 
-  // 开发模式下打开开发者工具
-  if (process.argv.includes('--dev')) {
-    mainWindow.webContents.openDevTools();
+  // 坐标校正 - 按所在显示器的DPI缩放
+  const correctedRegion = dipToCaptureRect(screenRegion);
+  
+  // 确保宽度和高度是2的倍数，以满足libx264编码器要求
+  if (correctedRegion.width % 2 !== 0) {
+    correctedRegion.width += 1;
+  }
+  if (correctedRegion.height % 2 !== 0) {
+    correctedRegion.height += 1;
   }
+  
+  console.log('校正后的区域坐标:', correctedRegion);
 
-  // 处理窗口关闭事件，隐藏到托盘而不是真正关闭
-  mainWindow.on('close', (event) => {
-    // 在Windows和Linux上，关闭窗口时隐藏到托盘；若是用户选择退出，则允许关闭
-    if (process.platform !== 'darwin' && !isQuitting) {
-      event.preventDefault();
-      mainWindow.hide();
-    }
+  // 使用从页面获取的设置参数
+  const options = recordingOptionsFromPage({
+    region: correctedRegion,
+    captureOrigin: { x: correctedRegion.x, y: correctedRegion.y },
+    redactions: resolveRedactions(region.redactions, display, correctedRegion, correctedRegion)
   });
-}
+  if (options.redactions.length > 0) {
+    console.log('隐私遮挡区域:', options.redactions);
+  }
 
-// 创建区域选择覆盖窗口
-function createOverlayWindow() {
-  const { width, height } = screen.getPrimaryDisplay().workAreaSize;
-  
-  overlayWindow = new BrowserWindow({
-    width: width,
-    height: height,
-    x: 0,
-    y: 0,
+  // 倒计时窗口放在选区之外
+  return beginRecordingSession(
+    { region: correctedRegion, frame: correctedRegion, displayIndex, displayOrigin: dipToCaptureRect(display.bounds), showRegion: true },
+    options,
+    { countdown: { seconds: (currentPageData || {}).countdown, region: screenRegion, display }, logLabel: 'FFmpeg 区域录制命令' }
+  );
+});
+
+// 关闭区域选择窗口
+ipcMain.handle('close-region-selector', () => {
+  closeOverlayWindows(true);
+  // 仅在未录制时显示主窗口，避免遮挡录屏
+  try {
+    if (mainWindow && !isRecording) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  } catch (_) {}
+  return { success: true };
+});
+
+// ---------- 窗口录制 ----------
+// 创建窗口选择界面，铺在鼠标所在的显示器上
+function createWindowPicker() {
+  closeWindowPicker(false);
+  restoreMainOnPickerClose = true;
+  const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const { x, y, width, height } = display.bounds;
+
+  const win = new BrowserWindow({
+    width,
+    height,
+    x,
+    y,
     frame: false,
     transparent: true,
     alwaysOnTop: true,
@@ -552,13 +3944,15 @@ function createOverlayWindow() {
       contextIsolation: false
     }
   });
+  windowPickerWindow = win;
 
-  overlayWindow.loadFile('overlay.html');
-  overlayWindow.setFullScreen(true);
-  overlayWindow.on('closed', () => {
-    overlayWindow = null;
+  win.loadFile('window-picker.html');
+  win.setFullScreen(true);
+  win.on('closed', () => {
+    if (windowPickerWindow === win) windowPickerWindow = null;
+    if (!restoreMainOnPickerClose) return;
     try {
-      if (mainWindow && !isRecording) {
+      if (mainWindow && !isRecording && !countdownState) {
         mainWindow.show();
         mainWindow.focus();
       }
@@ -566,798 +3960,481 @@ function createOverlayWindow() {
   });
 }
 
-// 更新托盘菜单
-function updateTrayMenu() {
-  if (!tray) return;
-  
-  // 检查开机自启动状态
-  const loginItemSettings = app.getLoginItemSettings();
-  const isAutoStartEnabled = loginItemSettings.openAtLogin;
-  
-  const contextMenu = Menu.buildFromTemplate([
-    {
-      label: '显示窗口',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.show();
-          mainWindow.focus();
-        }
-      }
-    },
-    {
-      label: '隐藏窗口',
-      click: () => {
-        if (mainWindow) {
-          mainWindow.hide();
-        }
-      }
-    },
-    { type: 'separator' },
-    {
-      label: isRecording ? '正在录制中...' : '开始录制全屏',
-      enabled: !isRecording,
-      click: () => {
-        if (mainWindow && !isRecording) {
-          mainWindow.webContents.send('hotkey-fullscreen');
-        }
-      }
-    },
-    {
-      label: '选择区域录制',
-      enabled: !isRecording,
-      click: () => {
-        if (mainWindow && !isRecording) {
-          mainWindow.webContents.send('hotkey-region');
-        }
-      }
-    },
-    { type: 'separator' },
-    {
-      label: isAutoStartEnabled ? '关闭开机自启动' : '开启开机自启动',
-      click: () => {
-        app.setLoginItemSettings({ openAtLogin: !isAutoStartEnabled });
-        updateTrayMenu(); // 重新构建菜单以更新标签
-      }
-    },
-    {
-      label: '退出应用',
-      click: () => {
-        console.log('用户点击退出应用');
-        isQuitting = true;
-        // 清理资源
-        try {
-          if (recordingProcess) {
-            recordingProcess.kill('SIGTERM');
-          }
-        } catch (e) {
-          console.error('清理录制进程失败:', e);
-        }
-        
-        try {
-          if (currentTempFile && fs.existsSync(currentTempFile)) {
-            fs.unlinkSync(currentTempFile);
-          }
-        } catch (e) {
-          console.error('清理临时文件失败:', e);
-        }
-        
-        // 注销快捷键
-        try {
-          globalShortcut.unregisterAll();
-        } catch (e) {
-          console.error('注销快捷键失败:', e);
-        }
-        
-        // 销毁托盘
-        try {
-          if (tray) {
-            tray.destroy();
-            tray = null;
-          }
-        } catch (e) {
-          console.error('销毁托盘失败:', e);
-        }
-        
-        // 退出应用
-        try { app.quit(); } catch (_) {}
-      }
-    }
-  ]);
-  
-  tray.setContextMenu(contextMenu);
+// 关闭窗口选择界面；restoreMainWindow 为 false 时保持主窗口隐藏
+function closeWindowPicker(restoreMainWindow = true) {
+  restoreMainOnPickerClose = restoreMainWindow;
+  if (windowPickerWindow) {
+    try { windowPickerWindow.close(); } catch (_) {}
+  }
 }
 
-// 创建托盘
-function createTray() {
-  const trayIconPath = path.join(__dirname, 'assets', 'tray-icon.png');
-  tray = new Tray(trayIconPath);
-  
-  updateTrayMenu();
-  tray.setToolTip('GIF Capture Tool');
-  
-  // 双击托盘图标显示/隐藏窗口
-  tray.on('double-click', () => {
-    if (mainWindow) {
-      if (mainWindow.isVisible()) {
-        mainWindow.hide();
-      } else {
-        mainWindow.show();
-        mainWindow.focus();
-      }
-    }
+// 录制指定窗口，画面跟随窗口移动（后端不支持时保留选择界面并返回错误）。
+// 窗口会移动，鼠标坐标无法换算到画面中，因此不合成指针高亮/点击效果，也不应用隐私遮挡
+async function startWindowRecording(source) {
+  const options = recordingOptionsFromPage({
+    highlightCursor: false,
+    showClicks: false,
+    windowSource: { id: source.id, name: source.name }
+  });
+  const capture = { window: options.windowSource };
+
+  const backend = captureBackends.getCaptureBackend();
+  try {
+    buildCaptureInput(backend, capture, options);
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+  console.log('录制窗口:', options.windowSource);
+
+  closeWindowPicker(false);
+  return beginRecordingSession(capture, options, {
+    countdown: { seconds: (currentPageData || {}).countdown },
+    logLabel: 'FFmpeg 窗口录制命令'
   });
 }
 
-// 应用准备就绪
-app.whenReady().then(() => {
-  createMainWindow();
-  createTray();
+// 可录制的窗口列表（不含本应用自己的窗口），缩略图转为 data URL 供选择界面显示
+ipcMain.handle('get-window-sources', async () => {
+  try {
+    const ownIds = BrowserWindow.getAllWindows().map(w => w.getMediaSourceId());
+    const sources = await desktopCapturer.getSources({
+      types: ['window'],
+      thumbnailSize: { width: 320, height: 200 }
+    });
+    return sources
+      .filter(source => source.name && !ownIds.includes(source.id))
+      .map(source => ({ id: source.id, name: source.name, thumbnail: source.thumbnail.toDataURL() }));
+  } catch (error) {
+    console.error('获取窗口列表失败:', error);
+    return [];
+  }
+});
 
-  // 加载并注册全局快捷键
-  const shortcuts = loadShortcuts();
-  registerAllShortcuts(shortcuts);
+// 显示窗口选择界面
+ipcMain.handle('show-window-picker', () => {
+  const backend = captureBackends.getCaptureBackend();
+  if (!backend.available) {
+    return { success: false, message: `无法录屏: ${backend.reason}` };
+  }
+  mainWindow.hide();
+  createWindowPicker();
+  return { success: true };
+});
 
-  app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
-      createMainWindow();
-    }
-  });
+// 处理窗口选择结果；参数不可用时保留选择界面并返回错误
+ipcMain.handle('window-selected', (event, source = {}) => {
+  console.log('收到窗口选择结果:', source);
+  return startWindowRecording(source);
 });
 
-// 添加错误处理
-process.on('uncaughtException', (error) => {
-  console.error('未捕获的异常:', error);
+// 关闭窗口选择界面
+ipcMain.handle('close-window-picker', () => {
+  closeWindowPicker(true);
+  return { success: true };
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('未处理的Promise拒绝:', reason);
+// 定时任务：列表
+ipcMain.handle('get-scheduled-jobs', () => {
+  const jobs = loadScheduledJobs().slice().sort((a, b) => a.startAt - b.startAt);
+  return { success: true, jobs: jobs.map(job => ({ ...job, description: describeScheduledJob(job) })) };
 });
 
-// 所有窗口关闭时退出应用
-app.on('window-all-closed', () => {
-  // 在Windows和Linux上，当所有窗口关闭时不退出应用，而是隐藏到托盘
-  // 在macOS上保持原有行为
-  if (process.platform === 'darwin') {
-    app.quit();
+// 定时任务：添加。job = { type, start: { mode: 'delay' | 'at', seconds, time: 'HH:MM', repeatDaily }, options, timelapse }
+ipcMain.handle('add-scheduled-job', (event, job = {}) => {
+  const start = job.start || {};
+  let startAt;
+  let repeatDaily = false;
+  if (start.mode === 'at') {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(start.time || ''));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return { success: false, message: '请输入有效的时间（HH:MM）' };
+    }
+    const date = new Date();
+    date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    // 今天的时间已过则安排到明天
+    if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+    startAt = date.getTime();
+    repeatDaily = !!start.repeatDaily;
+  } else {
+    const seconds = Number(start.seconds);
+    if (!(seconds >= 1)) {
+      return { success: false, message: '延迟时间至少为 1 秒' };
+    }
+    startAt = Date.now() + seconds * 1000;
   }
-  // 其他平台不退出，应用继续在托盘中运行
+
+  const options = { ...(job.options || {}) };
+  const next = {
+    id: `job-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    type: job.type === 'timelapse' ? 'timelapse' : 'capture',
+    startAt,
+    repeatDaily,
+    options
+  };
+  if (next.type === 'timelapse') {
+    const t = job.timelapse || {};
+    const interval = Math.max(1, Number(t.interval) || 5);
+    const total = Math.max(interval * 2, Number(t.total) || 600);
+    next.timelapse = { interval, total, outputFps: Math.min(60, Math.max(1, Number(t.outputFps) || 10)) };
+  }
+
+  saveScheduledJobs([...loadScheduledJobs(), next]);
+  armScheduledJob(next);
+  return { success: true, job: { ...next, description: describeScheduledJob(next) } };
 });
-// 选择保存路径
-ipcMain.handle('choose-save-path', async () => {
-  try {
-    const res = await dialog.showOpenDialog({
-      properties: ['openDirectory', 'createDirectory']
-    });
-    if (res.canceled || !res.filePaths || !res.filePaths[0]) {
-      return { success: false, message: '已取消选择' };
-    }
-    const dir = res.filePaths[0];
-    setSavePath(dir);
-    return { success: true, path: dir };
-  } catch (e) {
-    return { success: false, message: e && e.message ? e.message : String(e) };
+
+// 定时任务：取消
+ipcMain.handle('cancel-scheduled-job', (event, id) => {
+  cancelScheduledJob(id);
+  return { success: true };
+});
+
+// 鼠标效果能力：点击记录依赖可选的 uiohook-napi
+ipcMain.handle('get-cursor-capabilities', () => {
+  return { success: true, clicks: !!getInputHook() };
+});
+
+// 按键显示设置：{ enabled, position, style, fadeSeconds }，hook 表示能否记录普通按键
+ipcMain.handle('get-keystroke-settings', () => {
+  return { success: true, settings: loadKeystrokeSettings(), hook: !!getInputHook() };
+});
+
+ipcMain.handle('save-keystroke-settings', (event, next = {}) => {
+  const current = loadKeystrokeSettings();
+  const settings = {
+    enabled: next.enabled !== undefined ? !!next.enabled : current.enabled,
+    position: KEYSTROKE_POSITIONS[next.position] ? next.position : current.position,
+    style: KEYSTROKE_STYLES[next.style] ? next.style : current.style,
+    fadeSeconds: Math.min(10, Math.max(0.5, Number(next.fadeSeconds) || current.fadeSeconds))
+  };
+  saveSettings({ keystrokeOverlay: settings });
+  return { success: true, settings };
+});
+
+// GIF 编码设置：{ dither, bayerScale, statsMode, maxColors, playCount, diffRectangle, lossyTransparency }
+ipcMain.handle('get-gif-encoding-settings', () => {
+  return { success: true, settings: loadGifEncodingSettings() };
+});
+
+ipcMain.handle('save-gif-encoding-settings', (event, next = {}) => {
+  const settings = normalizeGifEncodingSettings(next, loadGifEncodingSettings());
+  saveSettings({ gifEncoding: settings });
+  return { success: true, settings };
+});
+
+// WebP/APNG/AVIF 编码设置：{ webp: { quality, lossless, playCount }, apng: {...}, avif: {...} }
+ipcMain.handle('get-image-encoding-settings', () => {
+  return { success: true, settings: loadImageEncodingSettings() };
+});
+
+ipcMain.handle('save-image-encoding-settings', (event, format, next = {}) => {
+  if (!DEFAULT_IMAGE_ENCODING_SETTINGS[format]) {
+    return { success: false, message: `不支持的格式: ${format}` };
   }
+  const all = loadImageEncodingSettings();
+  all[format] = normalizeImageEncodingSettings(next, all[format]);
+  saveSettings({ imageEncoding: all });
+  return { success: true, settings: all[format] };
+});
+
+// 输出格式列表：[{ format, available, reason }]，当前 FFmpeg 不支持的格式在界面中禁用
+ipcMain.handle('get-export-formats', () => {
+  return EXPORT_FORMATS.map(format => ({ format, ...exportFormatSupport(format) }));
+});
+
+// MP4 编码设置：{ quality, codec, faststart }，codecs 为各编码器在当前 FFmpeg 中是否可用
+ipcMain.handle('get-mp4-encoding-settings', () => {
+  const codecs = {};
+  Object.keys(MP4_CODECS).forEach((codec) => { codecs[codec] = mp4CodecSupport(codec); });
+  return { success: true, settings: loadMp4EncodingSettings(), codecs };
+});
+
+ipcMain.handle('save-mp4-encoding-settings', (event, next = {}) => {
+  const settings = normalizeMp4EncodingSettings(next, loadMp4EncodingSettings());
+  saveSettings({ mp4Encoding: settings });
+  return { success: true, settings };
+});
+
+// 导出队列：获取任务列表
+ipcMain.handle('get-export-jobs', () => {
+  return { success: true, jobs: exportJobs.map(exportJobForRenderer) };
+});
+
+ipcMain.handle('cancel-export-job', (event, id) => {
+  return cancelExportJob(id);
+});
+
+ipcMain.handle('retry-export-job', (event, id) => {
+  return retryExportJob(id);
+});
+
+ipcMain.handle('remove-export-job', (event, id) => {
+  return removeExportJob(id);
 });
 
-// 获取保存路径
-ipcMain.handle('get-save-path', () => {
-  try {
-    const p = getSavePath();
-    return { success: true, path: p };
-  } catch (e) {
-    return { success: false, message: e && e.message ? e.message : String(e) };
-  }
+// 导出队列：移除所有已完成的任务
+ipcMain.handle('clear-finished-export-jobs', () => {
+  exportJobs.filter(job => job.status === 'done').forEach(job => removeExportJob(job.id));
+  return { success: true };
 });
 
-// 应用即将退出时注销快捷键
-app.on('will-quit', () => {
-  globalShortcut.unregisterAll();
-  try {
-    if (recordingProcess) {
-      recordingProcess.kill('SIGTERM');
-    }
-  } catch (_) {}
-  try {
-    if (currentTempFile && fs.existsSync(currentTempFile)) {
-      fs.unlinkSync(currentTempFile);
-    }
-  } catch (_) {}
-  try { currentTempFile = null; } catch (_) {}
+// 导出预设：获取列表，active 为主窗口当前使用的预设
+ipcMain.handle('get-export-presets', () => {
+  return {
+    success: true,
+    presets: loadExportPresets(),
+    active: (currentPageData && currentPageData.exportPreset) || null
+  };
 });
 
-// IPC 事件处理
-ipcMain.handle('get-shortcuts', () => {
+// 导出预设：保存（同名覆盖）；previousName 为编辑前的名称，改名时替换原预设
+ipcMain.handle('save-export-preset', (event, preset = {}, previousName = null) => {
   try {
-    const s = loadShortcuts();
-    return { success: true, shortcuts: s };
+    const next = normalizeExportPreset(preset);
+    const others = loadExportPresets().filter(p => p.name !== next.name && p.name !== previousName);
+    if (exportPresetShortcutTaken(next.shortcut, others, next.name)) {
+      return { success: false, message: `快捷键 ${next.shortcut} 已被占用` };
+    }
+    // 编辑时保持原来的位置
+    const presets = loadExportPresets().slice();
+    const index = presets.findIndex(p => p.name === previousName || p.name === next.name);
+    const merged = [...others];
+    merged.splice(index >= 0 ? Math.min(index, merged.length) : merged.length, 0, next);
+    saveExportPresets(merged);
+    return { success: true, presets: merged };
   } catch (e) {
     return { success: false, message: e && e.message ? e.message : String(e) };
   }
 });
 
-ipcMain.handle('set-shortcuts', (event, next) => {
-  try {
-    const merged = { ...DEFAULT_SHORTCUTS, ...next };
-    // 尝试注册新快捷键
-    registerAllShortcuts(merged);
-    // 持久化
-    saveShortcuts(merged);
-    return { success: true, shortcuts: merged };
-  } catch (e) {
-    return { success: false, message: e && e.message ? e.message : String(e) };
-  }
+// 导出预设：删除
+ipcMain.handle('delete-export-preset', (event, name) => {
+  const presets = loadExportPresets().filter(p => p.name !== name);
+  saveExportPresets(presets);
+  return { success: true, presets };
 });
 
-ipcMain.handle('reset-shortcuts', () => {
-  try {
-    registerAllShortcuts(DEFAULT_SHORTCUTS);
-    saveShortcuts(DEFAULT_SHORTCUTS);
-    return { success: true, shortcuts: { ...DEFAULT_SHORTCUTS } };
-  } catch (e) {
-    return { success: false, message: e && e.message ? e.message : String(e) };
-  }
+// 导出预设：切换（托盘菜单和预设快捷键也走这里）
+ipcMain.handle('apply-export-preset', (event, name) => {
+  return applyExportPreset(name);
 });
-// 暂停/恢复全局快捷键（用于在录入快捷键时避免冲突）
-ipcMain.handle('pause-shortcuts', () => {
+
+// 导出预设：从 JSON 文件导入（{ presets: [...] } 或数组），同名覆盖；快捷键冲突的预设去掉快捷键
+ipcMain.handle('import-export-presets', async () => {
   try {
-    globalShortcut.unregisterAll();
-    return { success: true };
+    const res = await dialog.showOpenDialog({
+      title: '导入导出预设',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+    if (res.canceled || !res.filePaths || !res.filePaths[0]) {
+      return { success: false, cancelled: true, message: '已取消导入' };
+    }
+    const data = JSON.parse(fs.readFileSync(res.filePaths[0], 'utf8'));
+    const incoming = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : null);
+    if (!incoming) {
+      return { success: false, message: '文件中没有导出预设' };
+    }
+    let presets = loadExportPresets().slice();
+    let imported = 0;
+    const skipped = [];
+    incoming.forEach((item) => {
+      try {
+        const preset = normalizeExportPreset(item);
+        presets = presets.filter(p => p.name !== preset.name);
+        if (exportPresetShortcutTaken(preset.shortcut, presets, preset.name)) preset.shortcut = '';
+        presets.push(preset);
+        imported++;
+      } catch (e) {
+        skipped.push(e.message);
+      }
+    });
+    if (imported > 0) saveExportPresets(presets);
+    return { success: imported > 0, presets, imported, skipped, message: imported > 0 ? null : `没有有效的预设：${skipped.join('；')}` };
   } catch (e) {
+    console.error('导入导出预设失败:', e && e.message ? e.message : e);
     return { success: false, message: e && e.message ? e.message : String(e) };
   }
 });
 
-ipcMain.handle('resume-shortcuts', () => {
+// 导出预设：保存为 JSON 文件，便于分享给同事
+ipcMain.handle('export-export-presets', async () => {
   try {
-    const s = loadShortcuts();
-    registerAllShortcuts(s);
-    return { success: true };
+    const res = await dialog.showSaveDialog({
+      title: '导出预设',
+      defaultPath: 'gif-capture-presets.json',
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+    if (res.canceled || !res.filePath) {
+      return { success: false, cancelled: true, message: '已取消导出' };
+    }
+    fs.writeFileSync(res.filePath, JSON.stringify({ presets: loadExportPresets() }, null, 2), 'utf8');
+    return { success: true, filePath: res.filePath };
   } catch (e) {
+    console.error('导出预设失败:', e && e.message ? e.message : e);
     return { success: false, message: e && e.message ? e.message : String(e) };
   }
 });
-ipcMain.handle('get-screen-sources', async () => {
-  try {
-    const sources = await desktopCapturer.getSources({
-      types: ['screen']
-    });
-    return sources;
-  } catch (error) {
-    console.error('获取屏幕源失败:', error);
-    return [];
-  }
+
+// 隐私遮挡预设：获取列表，active 为主窗口当前选中的预设
+ipcMain.handle('get-redaction-presets', () => {
+  return {
+    success: true,
+    presets: loadRedactionPresets(),
+    active: (currentPageData && currentPageData.redactionPreset) || null
+  };
 });
 
-// 开始录制
-ipcMain.handle('start-recording', async (event, options = {}) => {
-  if (isRecording) {
-    return { success: false, message: '正在录制中...' };
+// 隐私遮挡预设：保存（同名覆盖）
+ipcMain.handle('save-redaction-preset', (event, preset = {}) => {
+  const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name) {
+    return { success: false, message: '预设名称不能为空' };
   }
-
-  // 检查FFmpeg是否可用
-  if (!checkFFmpegAvailability()) {
-    return { 
-      success: false, 
-      message: `FFmpeg不可用，请检查安装。路径: ${ffmpegPath}` 
-    };
+  if (!Array.isArray(preset.redactions) || preset.redactions.length === 0) {
+    return { success: false, message: '请至少添加一个遮挡区域' };
   }
+  const pick = (r) => ({ x: Math.round(r.x), y: Math.round(r.y), width: Math.round(r.width), height: Math.round(r.height) });
+  const next = {
+    name,
+    // 坐标相对该显示器
+    displayId: preset.displayId !== undefined && preset.displayId !== null ? String(preset.displayId) : null,
+    region: preset.region ? pick(preset.region) : null,
+    redactions: preset.redactions.map(r => ({ ...pick(r), mode: r.mode === 'blackout' ? 'blackout' : 'pixelate' }))
+  };
+  const presets = loadRedactionPresets().filter(p => p.name !== name);
+  presets.push(next);
+  saveRedactionPresets(presets);
+  return { success: true, presets };
+});
 
-  const {
-    duration = 1,
-    fps = 15,
-    width = 640,
-    format = 'gif',
-    region = null // {x, y, width, height}
-  } = options;
-
-  try {
-    // 先隐藏窗口，而不是最小化，避免缩放过程被录制
-    mainWindow.hide();
-    
-    // 等待一小段时间确保窗口完全隐藏
-    await new Promise(resolve => setTimeout(resolve, 300));
-    
-    isRecording = true;
-    mainWindow.webContents.send('recording-started');
-    updateTrayMenu();
-    const preferredDir = getSavePath();
-    const saveDir = (preferredDir && fs.existsSync(preferredDir)) ? preferredDir : path.join(os.homedir(), 'Desktop');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const tempFile = path.join(saveDir, `temp-capture-${timestamp}.mp4`);
-    currentTempFile = tempFile;
-    const outputFile = path.join(saveDir, `capture-${timestamp}.${format}`);
-
-    // 构建FFmpeg录制命令参数
-    let recordArgs = [];
-    
-    if (process.platform === 'win32') {
-      // Windows: 使用 gdigrab
-      recordArgs.push('-f', 'gdigrab');
-      if (region) {
-        recordArgs.push('-offset_x', region.x.toString());
-        recordArgs.push('-offset_y', region.y.toString());
-        recordArgs.push('-video_size', `${region.width}x${region.height}`);
-        // 添加显示偏移参数以确保坐标正确
-        recordArgs.push('-show_region', '1');
-      }
-      recordArgs.push('-framerate', fps.toString());
-      recordArgs.push('-i', 'desktop');
-    } else if (process.platform === 'darwin') {
-      // macOS: 使用 avfoundation
-      recordArgs.push('-f', 'avfoundation');
-      recordArgs.push('-framerate', fps.toString());
-      if (region) {
-        recordArgs.push('-video_size', `${region.width}x${region.height}`);
-      }
-      recordArgs.push('-i', '1:0');
-    } else {
-      // Linux: 使用 x11grab
-      recordArgs.push('-f', 'x11grab');
-      recordArgs.push('-framerate', fps.toString());
-      if (region) {
-        recordArgs.push('-video_size', `${region.width}x${region.height}`);
-        recordArgs.push('-i', `:0.0+${region.x},${region.y}`);
-      } else {
-        recordArgs.push('-i', ':0.0');
-      }
-    }
-
-    // 添加录制参数
-    recordArgs.push('-t', options.duration.toString());
-    recordArgs.push('-c:v', 'libx264');
-    recordArgs.push('-preset', 'ultrafast');
-    recordArgs.push('-pix_fmt', 'yuv420p');
-    recordArgs.push('-crf', '18');
-    recordArgs.push('-y', tempFile);
-
-    console.log('FFmpeg 录制命令:', ffmpegPath, recordArgs.join(' '));
-
-    // 执行录制
-    return new Promise((resolve, reject) => {
-      // 第一步：录制MP4
-      recordingProcess = spawn(ffmpegPath, recordArgs);
-      
-      let stderr = '';
-      
-      recordingProcess.stderr.on('data', (data) => {
-        const chunk = Buffer.isBuffer(data) ? decodeBuffer(data) : String(data);
-        stderr += chunk;
-        console.log('FFmpeg stderr:', chunk);
-        
-        // 解析进度信息
-        const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-        if (progressMatch) {
-          const hours = parseInt(progressMatch[1]);
-          const minutes = parseInt(progressMatch[2]);
-          const seconds = parseFloat(progressMatch[3]);
-          const totalSeconds = hours * 3600 + minutes * 60 + seconds;
-          const percent = Math.min(Math.round((totalSeconds / duration) * 50), 50); // 录制占50%
-          console.log(`录制进度: ${percent}% (${totalSeconds.toFixed(1)}s / ${duration}s)`);
-          mainWindow.webContents.send('recording-progress', percent);
-        }
-      });
-
-      recordingProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log('录制完成，开始转换...');
-          mainWindow.webContents.send('recording-progress', 50);
-          
-          // 第二步：根据格式转换
-          if (options.format === 'mp4') {
-            // 直接重命名MP4文件
-            fs.renameSync(tempFile, outputFile);
-            isRecording = false;
-            updateTrayMenu();
-            try { currentTempFile = null; } catch (_) {}
-            try { mainWindow.show(); mainWindow.focus(); } catch (_) {}
-            mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-            // 对于非GIF格式，不需要复制到剪贴板，而是直接打开保存地址
-            try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
-            resolve({ success: true, filePath: outputFile });
-          } else if (options.format === 'webm') {
-            // 转换为WebM
-            convertToFormat(tempFile, outputFile, options.format, options.width, options.fps, options.duration)
-              .then(() => {
-                // 删除临时文件
-                if (fs.existsSync(tempFile)) {
-                  try { fs.unlinkSync(tempFile); } catch (_) {}
-                }
-                isRecording = false;
-                updateTrayMenu();
-                try { currentTempFile = null; } catch (_) {}
-                // 录制结束后显示窗口
-                mainWindow.show();
-                mainWindow.focus();
-                mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-                // 对于非GIF格式，不需要复制到剪贴板，而是直接打开保存地址
-                try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
-                resolve({ success: true, filePath: outputFile });
-              })
-              .catch((err) => {
-                isRecording = false;
-                updateTrayMenu();
-                try {
-                  if (currentTempFile && fs.existsSync(currentTempFile)) {
-                    fs.unlinkSync(currentTempFile);
-                  }
-                } catch (_) {}
-                try { currentTempFile = null; } catch (_) {}
-                mainWindow.webContents.send('recording-error', err.message);
-                reject({ success: false, message: err.message });
-              });
-          } else {
-            // 转换为GIF
-            convertToFormat(tempFile, outputFile, options.format, options.width, options.fps, options.duration)
-              .then(() => {
-                // 删除临时文件
-                if (fs.existsSync(tempFile)) {
-                  try { fs.unlinkSync(tempFile); } catch (_) {}
-                }
-                isRecording = false;
-                updateTrayMenu();
-                try { currentTempFile = null; } catch (_) {}
-                // 录制结束后显示窗口
-                mainWindow.show();
-                mainWindow.focus();
-                mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-                // 自动复制到剪贴板（保护性 try/catch）
-                try { autoCopyToClipboard(outputFile); } catch (e) { console.error('自动复制到剪贴板失败:', e && e.message ? e.message : e); }
-                resolve({ success: true, filePath: outputFile });
-              })
-              .catch((err) => {
-                isRecording = false;
-                updateTrayMenu();
-                try {
-                  if (currentTempFile && fs.existsSync(currentTempFile)) {
-                    fs.unlinkSync(currentTempFile);
-                  }
-                } catch (_) {}
-                try { currentTempFile = null; } catch (_) {}
-                mainWindow.webContents.send('recording-error', err.message);
-                reject({ success: false, message: err.message });
-              });
-          }
-        } else {
-          isRecording = false;
-          mainWindow.webContents.send('recording-error', `录制失败，FFmpeg 退出码: ${code}`);
-          reject({ success: false, message: `录制失败，FFmpeg 退出码: ${code}` });
-        }
-      });
-
-      recordingProcess.on('error', (err) => {
-        isRecording = false;
-        mainWindow.webContents.send('recording-error', err.message);
-        reject({ success: false, message: err.message });
-      });
-    });
+// 隐私遮挡预设：删除
+ipcMain.handle('delete-redaction-preset', (event, name) => {
+  const presets = loadRedactionPresets().filter(p => p.name !== name);
+  saveRedactionPresets(presets);
+  return { success: true, presets };
+});
 
-  } catch (error) {
-    isRecording = false;
-    updateTrayMenu();
-    mainWindow.webContents.send('recording-error', error.message);
-    return { success: false, message: error.message };
+// 剪辑窗口：获取待剪辑的文件信息
+ipcMain.handle('get-edit-data', () => {
+  if (!pendingEdit) {
+    return { success: false, message: '没有待剪辑的录制' };
   }
+  return {
+    success: true,
+    filePath: pendingEdit.filePath,
+    duration: pendingEdit.duration,
+    fps: pendingEdit.fps,
+    width: pendingEdit.width,
+    format: pendingEdit.format,
+    range: pendingEdit.range,
+    annotations: pendingEdit.annotations
+  };
 });
 
-// 停止录制
-ipcMain.handle('stop-recording', () => {
-  if (recordingProcess && isRecording) {
-    recordingProcess.kill('SIGTERM');
-    isRecording = false;
-    updateTrayMenu();
-    try {
-      if (currentTempFile && fs.existsSync(currentTempFile)) {
-        fs.unlinkSync(currentTempFile);
-      }
-    } catch (_) {}
-    try { currentTempFile = null; } catch (_) {}
-    return { success: true };
+// 剪辑窗口：切换到逐帧编辑（仅 GIF），range 为当前入点/出点，annotations 为当前标注
+ipcMain.handle('open-frame-editor', (event, range = {}, annotations = []) => {
+  if (!pendingEdit || !editorWindow) {
+    return { success: false, message: '没有待剪辑的录制' };
   }
-  return { success: false, message: '没有正在进行的录制' };
+  if (pendingEdit.format !== 'gif') {
+    return { success: false, message: '逐帧编辑仅支持 GIF 格式' };
+  }
+  pendingEdit.range = { start: range.start || 0, end: range.end || pendingEdit.duration };
+  pendingEdit.annotations = Array.isArray(annotations) ? annotations : [];
+  editorWindow.loadFile('frame-editor.html');
+  return { success: true };
 });
 
-// 复制文件到剪贴板
-ipcMain.handle('copy-to-clipboard', async (event, filePath) => {
+// 逐帧编辑：拆帧，返回帧列表 [{ path, delay }]
+ipcMain.handle('extract-frames', async () => {
+  if (!pendingEdit) {
+    return { success: false, message: '没有待剪辑的录制' };
+  }
   try {
-    console.log('手动复制到剪贴板:', filePath);
-    if (fs.existsSync(filePath)) {
-      // 对于图片文件，直接复制到剪贴板
-      const ext = path.extname(filePath).toLowerCase();
-      
-      // 尝试把图片文件复制到剪贴板，失败回退为复制路径
-      try {
-        const ok = copyImageFileToClipboard(filePath);
-        if (!ok) {
-          try { clipboard.writeText(filePath); } catch (e) { console.error('回退写入路径失败:', e && e.message ? e.message : e); }
-          console.log('手动复制文件路径成功:', filePath);
-        } else {
-          console.log('手动复制图片成功:', filePath);
-        }
-      } catch (error) {
-        console.error('手动复制失败:', error && error.message ? error.message : error);
-        try { clipboard.writeText(filePath); } catch (_) {}
-        console.log('手动复制文件路径成功:', filePath);
-      }
-      return { success: true };
+    removeTempDir(pendingEdit.framesDir);
+    pendingEdit.framesDir = null;
+    const { filePath, fps, width } = pendingEdit;
+    const range = pendingEdit.range || { start: 0, end: pendingEdit.duration };
+    // 标注在拆帧时一并烧录，时间换算到入点之后
+    const prepared = prepareAnnotations(pendingEdit.annotations, range.start);
+    const recordedEffects = prepareRecordedEffects(pendingEdit, range.start);
+    let result;
+    try {
+      result = await extractFrames(filePath, range.start, range.end, fps, width, [...recordedEffects.annotations, ...prepared.annotations]);
+    } finally {
+      removeTempDir(prepared.dir);
+      recordedEffects.dirs.forEach(removeTempDir);
     }
-    console.log('文件不存在:', filePath);
-    return { success: false, message: '文件不存在' };
-  } catch (error) {
-    console.error('手动复制失败:', error);
-    return { success: false, message: error.message };
+    if (!pendingEdit) {
+      // 拆帧期间窗口已关闭
+      removeTempDir(result.framesDir);
+      return { success: false, message: '剪辑已结束' };
+    }
+    pendingEdit.framesDir = result.framesDir;
+    return { success: true, frames: result.frames, fps };
+  } catch (e) {
+    return { success: false, message: e && e.message ? e.message : String(e) };
   }
 });
 
-// 打开文件所在目录
-ipcMain.handle('open-file-location', async (event, filePath) => {
-  try {
-    const directory = path.dirname(filePath);
-    shell.showItemInFolder(filePath);
-    return { success: true };
-  } catch (error) {
-    return { success: false, message: error.message };
+// 逐帧编辑：返回入点/出点剪辑
+ipcMain.handle('back-to-trim-editor', () => {
+  if (!pendingEdit || !editorWindow) {
+    return { success: false, message: '没有待剪辑的录制' };
   }
-});
-
-// 显示区域选择窗口
-ipcMain.handle('show-region-selector', () => {
-  // 录制开始时最小化主窗口
-  mainWindow.hide();
-  createOverlayWindow();
+  removeTempDir(pendingEdit.framesDir);
+  pendingEdit.framesDir = null;
+  editorWindow.loadFile('editor.html');
   return { success: true };
 });
 
-// 处理区域选择结果
-ipcMain.handle('region-selected', async (event, region) => {
-  console.log('收到区域选择结果:', region);
-  
-  // 获取屏幕信息进行坐标校正
-  const displays = screen.getAllDisplays();
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const scaleFactor = primaryDisplay.scaleFactor || 1;
-  
-  console.log('屏幕信息:', {
-    scaleFactor,
-    workArea: primaryDisplay.workArea,
-    bounds: primaryDisplay.bounds
-  });
-  
-  // 关闭区域选择窗口
-  if (overlayWindow) {
-    overlayWindow.close();
-    overlayWindow = null;
-  }
-  // 此处立即开始录制，不显示主窗口，避免遮挡
-  
-  // 直接调用录制函数
-  if (isRecording) {
-    return { success: false, message: '正在录制中...' };
+// 逐帧编辑：确认导出，frames 为编辑后的帧序列 [{ path, delay }]
+ipcMain.handle('confirm-frame-edit', (event, frames = []) => {
+  if (!pendingEdit || !pendingEdit.framesDir) {
+    return { success: false, message: '没有待导出的帧' };
   }
-
-  // 坐标校正 - 考虑DPI缩放
-  const correctedRegion = {
-    x: Math.round(region.x * scaleFactor),
-    y: Math.round(region.y * scaleFactor),
-    width: Math.round(region.width * scaleFactor),
-    height: Math.round(region.height * scaleFactor)
-  };
-  
-  // 确保宽度和高度是2的倍数，以满足libx264编码器要求
-  if (correctedRegion.width % 2 !== 0) {
-    correctedRegion.width += 1;
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return { success: false, message: '至少需要保留一帧' };
   }
-  if (correctedRegion.height % 2 !== 0) {
-    correctedRegion.height += 1;
+  // 只接受拆帧目录中的文件
+  const framesDir = pendingEdit.framesDir;
+  const valid = frames.every(frame => frame && typeof frame.path === 'string' && path.dirname(frame.path) === framesDir);
+  if (!valid) {
+    return { success: false, message: '帧列表无效' };
   }
-  
-  console.log('校正后的区域坐标:', correctedRegion);
-
-  // 使用从页面获取的设置参数
-  const pageData = currentPageData || {};
-  const options = {
-    duration: pageData.duration || 1,
-    fps: pageData.fps || 15,
-    width: pageData.width || 640,
-    format: pageData.format || 'gif',
-    region: correctedRegion
-  };
-
-  try {
-    isRecording = true;
-    mainWindow.webContents.send('recording-started');
-    updateTrayMenu();
-
-    const preferredDir = getSavePath();
-    const saveDir = (preferredDir && fs.existsSync(preferredDir)) ? preferredDir : path.join(os.homedir(), 'Desktop');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const tempFile = path.join(saveDir, `temp-capture-${timestamp}.mp4`);
-    currentTempFile = tempFile;
-    const outputFile = path.join(saveDir, `capture-${timestamp}.${options.format}`);
-
-    // 构建FFmpeg录制命令参数
-    let recordArgs = [];
-    
-    if (process.platform === 'win32') {
-      // Windows: 使用 gdigrab
-      recordArgs.push('-f', 'gdigrab');
-      recordArgs.push('-offset_x', correctedRegion.x.toString());
-      recordArgs.push('-offset_y', correctedRegion.y.toString());
-      recordArgs.push('-video_size', `${correctedRegion.width}x${correctedRegion.height}`);
-      recordArgs.push('-framerate', options.fps.toString());
-      recordArgs.push('-i', 'desktop');
-      // 添加显示偏移参数以确保坐标正确
-      recordArgs.push('-show_region', '1');
-    } else if (process.platform === 'darwin') {
-      // macOS: 使用 avfoundation
-      recordArgs.push('-f', 'avfoundation');
-      recordArgs.push('-framerate', options.fps.toString());
-      recordArgs.push('-video_size', `${correctedRegion.width}x${correctedRegion.height}`);
-      recordArgs.push('-i', '1:0');
-    } else {
-      // Linux: 使用 x11grab
-      recordArgs.push('-f', 'x11grab');
-      recordArgs.push('-framerate', options.fps.toString());
-      recordArgs.push('-video_size', `${correctedRegion.width}x${correctedRegion.height}`);
-      recordArgs.push('-i', `:0.0+${correctedRegion.x},${correctedRegion.y}`);
-    }
-
-    // 添加录制参数
-    recordArgs.push('-t', options.duration.toString());
-    recordArgs.push('-c:v', 'libx264');
-    recordArgs.push('-preset', 'ultrafast');
-    recordArgs.push('-pix_fmt', 'yuv420p');
-    recordArgs.push('-crf', '18');
-    recordArgs.push('-y', tempFile);
-
-    console.log('FFmpeg 区域录制命令:', ffmpegPath, recordArgs.join(' '));
-
-    // 执行录制
-    return new Promise((resolve, reject) => {
-      // 第一步：录制MP4
-      recordingProcess = spawn(ffmpegPath, recordArgs);
-      
-      let stderr = '';
-      
-      recordingProcess.stderr.on('data', (data) => {
-        const chunk = Buffer.isBuffer(data) ? decodeBuffer(data) : String(data);
-        stderr += chunk;
-        console.log('FFmpeg stderr:', chunk);
-        
-        // 解析进度信息
-        const progressMatch = stderr.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-        if (progressMatch) {
-          const hours = parseInt(progressMatch[1]);
-          const minutes = parseInt(progressMatch[2]);
-          const seconds = parseFloat(progressMatch[3]);
-          const totalSeconds = hours * 3600 + minutes * 60 + seconds;
-          const percent = Math.min(Math.round((totalSeconds / options.duration) * 50), 50); // 录制占50%
-          console.log(`录制进度: ${percent}% (${totalSeconds.toFixed(1)}s / ${options.duration}s)`);
-          mainWindow.webContents.send('recording-progress', percent);
-        }
-      });
-
-      recordingProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log('录制完成，开始转换...');
-          mainWindow.webContents.send('recording-progress', 50);
-          
-          // 第二步：根据格式转换
-          if (options.format === 'mp4') {
-            // 直接重命名MP4文件
-            fs.renameSync(tempFile, outputFile);
-            isRecording = false;
-            updateTrayMenu();
-            try { currentTempFile = null; } catch (_) {}
-            try { mainWindow.show(); mainWindow.focus(); } catch (_) {}
-            mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-            // 对于非GIF格式，不需要复制到剪贴板，而是直接打开保存地址
-            try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
-            resolve({ success: true, filePath: outputFile });
-          } else if (options.format === 'webm') {
-            // 转换为WebM
-            convertToFormat(tempFile, outputFile, options.format, options.width, options.fps, options.duration)
-              .then(() => {
-                // 删除临时文件
-                if (fs.existsSync(tempFile)) {
-                  try { fs.unlinkSync(tempFile); } catch (_) {}
-                }
-                isRecording = false;
-                updateTrayMenu();
-                try { currentTempFile = null; } catch (_) {}
-                // 录制结束后显示窗口
-                mainWindow.show();
-                mainWindow.focus();
-                mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-                // 对于非GIF格式，不需要复制到剪贴板，而是直接打开保存地址
-                try { shell.showItemInFolder(outputFile); } catch (e) { console.error('打开文件位置失败:', e && e.message ? e.message : e); }
-                resolve({ success: true, filePath: outputFile });
-              })
-              .catch((err) => {
-                isRecording = false;
-                updateTrayMenu();
-                try {
-                  if (currentTempFile && fs.existsSync(currentTempFile)) {
-                    fs.unlinkSync(currentTempFile);
-                  }
-                } catch (_) {}
-                try { currentTempFile = null; } catch (_) {}
-                mainWindow.webContents.send('recording-error', err.message);
-                reject({ success: false, message: err.message });
-              });
-          } else {
-            // 转换为GIF
-            convertToFormat(tempFile, outputFile, options.format, options.width, options.fps, options.duration)
-              .then(() => {
-                // 删除临时文件
-                if (fs.existsSync(tempFile)) {
-                  try { fs.unlinkSync(tempFile); } catch (_) {}
-                }
-                isRecording = false;
-                updateTrayMenu();
-                try { currentTempFile = null; } catch (_) {}
-                // 录制结束后显示窗口
-                mainWindow.show();
-                mainWindow.focus();
-                mainWindow.webContents.send('recording-completed', { filePath: outputFile });
-                // 自动复制到剪贴板（保护性 try/catch）
-                try { autoCopyToClipboard(outputFile); } catch (e) { console.error('自动复制到剪贴板失败:', e && e.message ? e.message : e); }
-                resolve({ success: true, filePath: outputFile });
-              })
-              .catch((err) => {
-                isRecording = false;
-                updateTrayMenu();
-                try {
-                  if (currentTempFile && fs.existsSync(currentTempFile)) {
-                    fs.unlinkSync(currentTempFile);
-                  }
-                } catch (_) {}
-                try { currentTempFile = null; } catch (_) {}
-                mainWindow.webContents.send('recording-error', err.message);
-                reject({ success: false, message: err.message });
-              });
-          }
-        } else {
-          isRecording = false;
-          mainWindow.webContents.send('recording-error', `录制失败，FFmpeg 退出码: ${code}`);
-          reject({ success: false, message: `录制失败，FFmpeg 退出码: ${code}` });
-        }
-      });
-
-      recordingProcess.on('error', (err) => {
-        isRecording = false;
-        mainWindow.webContents.send('recording-error', err.message);
-        reject({ success: false, message: err.message });
-      });
-    });
+  settleEdit({
+    framesDir,
+    frames: frames.map(frame => ({ path: frame.path, delay: Math.max(10, Number(frame.delay) || 0) }))
+  });
+  if (editorWindow) editorWindow.close();
+  return { success: true };
+});
 
-  } catch (error) {
-    isRecording = false;
-    updateTrayMenu();
-    mainWindow.webContents.send('recording-error', error.message);
-    return { success: false, message: error.message };
+// 剪辑窗口：确认导出范围
+ipcMain.handle('confirm-edit', (event, trim = {}) => {
+  if (!pendingEdit) {
+    return { success: false, message: '没有待剪辑的录制' };
   }
+  settleEdit({ start: trim.start, end: trim.end, duration: trim.duration, annotations: trim.annotations });
+  if (editorWindow) editorWindow.close();
+  return { success: true };
 });
 
-// 关闭区域选择窗口
-ipcMain.handle('close-region-selector', () => {
-  if (overlayWindow) {
-    overlayWindow.close();
-    overlayWindow = null;
-  }
-  // 仅在未录制时显示主窗口，避免遮挡录屏
-  try {
-    if (mainWindow && !isRecording) {
-      mainWindow.show();
-      mainWindow.focus();
-    }
-  } catch (_) {}
+// 剪辑窗口：放弃本次录制
+ipcMain.handle('discard-edit', () => {
+  settleEdit(null);
+  if (editorWindow) editorWindow.close();
   return { success: true };
 });
 
 // 添加获取页面数据的处理程序
 let currentPageData = {};
 ipcMain.handle('set-page-data', (event, data) => {
+  const presetChanged = (currentPageData && currentPageData.exportPreset) !== (data && data.exportPreset);
   currentPageData = data;
+  // 托盘菜单中勾选当前的导出预设
+  if (presetChanged) updateTrayMenu();
   return { success: true };
 });
 
@@ -1377,6 +4454,8 @@ ipcMain.handle('get-ffmpeg-status', () => {
     available: isAvailable,
     path: ffmpegPath,
     message: isAvailable ? 'FFmpeg可用' : `FFmpeg不可用，路径: ${ffmpegPath}`,
+    // 抓屏后端 { name, label, available, reason, session }
+    captureBackend: isAvailable ? captureBackends.describeCaptureBackend() : null,
     debug: {
       platform: process.platform,
       isPackaged: app.isPackaged,
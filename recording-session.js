@@ -0,0 +1,385 @@
+// 录制会话：抓屏 FFmpeg 的启动、分段暂停/继续、停止、失败处理和分段拼接。
+// 这里不依赖 Electron：通知界面、刷新托盘、注册 Esc 停止键、同步录制状态等由 main.js 通过 hooks 传入，
+// 抓屏参数由 capture-backends.js 的后端生成，因此配合测试后端可以直接用 node 跑通（见 check-recording.js）
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+// 从 FFmpeg 输出片段中解析最后一个 time= 值（秒），没有则返回 null
+function parseFFmpegTime(text) {
+  const matches = String(text).match(/time=(\d+):(\d+):(\d+\.\d+)/g);
+  if (!matches) return null;
+  const m = matches[matches.length - 1].match(/time=(\d+):(\d+):(\d+\.\d+)/);
+  return parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseFloat(m[3]);
+}
+
+// 由抓屏后端生成输入参数和前置滤镜。capture 为 { window } 时录制指定窗口，
+// 否则为 { region, frame, displayIndex, showRegion }（region 为物理像素坐标，省略时录制整个屏幕）
+function buildCaptureInput(backend, capture, options) {
+  const drawMouse = options.showCursor === false ? '0' : '1';
+  if (capture.window) {
+    return { inputArgs: backend.windowArgs({ fps: options.fps, source: capture.window, drawMouse }), inputFilter: null };
+  }
+  return {
+    inputArgs: backend.screenArgs({
+      fps: options.fps,
+      region: capture.region || null,
+      frame: capture.frame || null,
+      drawMouse,
+      displayIndex: capture.displayIndex || 0,
+      showRegion: !!capture.showRegion
+    }),
+    inputFilter: backend.screenFilter(capture.region || null, capture.displayOrigin || null)
+  };
+}
+
+// 删除会话遗留的分段文件
+function cleanupCaptureSegments(session) {
+  if (!session) return;
+  session.segments.forEach((file) => {
+    try {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch (_) {}
+  });
+}
+
+// 用 concat demuxer 无损拼接分段；只有一个分段时直接重命名
+function joinCaptureSegments(ffmpegPath, segments, outputFile) {
+  return new Promise((resolve, reject) => {
+    const parts = segments.filter(file => fs.existsSync(file) && fs.statSync(file).size > 0);
+    if (parts.length === 0) {
+      reject(new Error('没有录制到任何内容'));
+      return;
+    }
+    if (parts.length === 1) {
+      fs.renameSync(parts[0], outputFile);
+      resolve();
+      return;
+    }
+
+    const listFile = outputFile.replace(/\.mp4$/, '-segments.txt');
+    const listContent = parts.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n');
+    fs.writeFileSync(listFile, listContent, 'utf8');
+
+    const concatArgs = ['-f', 'concat', '-safe', '0', '-i', listFile, '-c', 'copy', '-y', outputFile];
+    console.log('拼接分段命令:', ffmpegPath, concatArgs.join(' '));
+
+    const concatProcess = spawn(ffmpegPath, concatArgs);
+    concatProcess.on('close', (code) => {
+      try { fs.unlinkSync(listFile); } catch (_) {}
+      if (code === 0) {
+        parts.forEach((file) => {
+          try { fs.unlinkSync(file); } catch (_) {}
+        });
+        resolve();
+      } else {
+        reject(new Error(`分段拼接失败，退出码: ${code}`));
+      }
+    });
+    concatProcess.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+// 创建录制器，同一时间只有一个录制会话。hooks（除 onCaptured 外都可省略）:
+//   notify(channel, ...args)   推送录制事件：recording-started / progress / elapsed / paused / resumed / captured / error
+//   updateTray()               录制状态变化后刷新托盘菜单
+//   setRecording(value)        同步 main.js 中的录制状态（延时摄影、倒计时等也依赖它）
+//   registerStopShortcut() / unregisterStopShortcut()  不定长录制期间的全局 Esc 停止键
+//   onStarted(session)         会话开始时调用（键鼠记录）
+//   onCaptured(session, duration)  抓屏结束、录制状态已释放，交给导出流程；duration 为转换用的时长
+//   decode(buffer)             FFmpeg 输出解码（Windows 控制台为 GBK）
+// 会话：{ inputArgs, filterArgs, options, tempFile, outputFile, logLabel, segments, recordedBefore, paused, ... , resolve, reject }，
+// start() 返回的 Promise 由导出流程通过 session.resolve / session.reject 结束
+function createRecorder({ ffmpegPath, hooks = {} }) {
+  const notify = hooks.notify || (() => {});
+  const updateTray = hooks.updateTray || (() => {});
+  const setRecording = hooks.setRecording || (() => {});
+  const registerStopShortcut = hooks.registerStopShortcut || (() => {});
+  const unregisterStopShortcut = hooks.unregisterStopShortcut || (() => {});
+  const decode = hooks.decode || (data => String(data));
+
+  // 当前录制会话，暂停期间 recordingProcess 为 null
+  let captureSession = null;
+  let recordingProcess = null;
+  // 当前会话的临时文件，退出应用时删除
+  let currentTempFile = null;
+  // “录制直到停止”模式：不传 -t，由用户通过快捷键/托盘/Esc 结束
+  let recordingUntilStopped = false;
+  // 当前录制已写入的时长（秒），用于不定长录制结束后的转换进度
+  let recordedSeconds = 0;
+
+  // 开始录制：切换录制状态并启动第一个分段。filterArgs 为编码前的滤镜参数（隐私遮挡、裁剪等）
+  function start({ inputArgs, filterArgs = [], options, tempFile, outputFile, logLabel = 'FFmpeg 录制命令' }) {
+    setRecording(true);
+    recordingUntilStopped = !!options.untilStopped;
+    recordedSeconds = 0;
+    currentTempFile = tempFile;
+    if (recordingUntilStopped) registerStopShortcut();
+    notify('recording-started', { untilStopped: recordingUntilStopped });
+    updateTray();
+
+    return new Promise((resolve, reject) => {
+      captureSession = {
+        inputArgs,
+        filterArgs,
+        options,
+        tempFile,
+        outputFile,
+        logLabel,
+        segments: [],
+        recordedBefore: 0, // 之前各分段累计时长（秒）
+        paused: false,
+        pausing: false,
+        stopRequested: false,
+        cancelled: false,
+        captured: false,
+        segmentStartedAt: null, // 当前分段第一帧对应的时刻（Date.now），用于对齐鼠标轨迹
+        cursorTrack: null,
+        keystrokes: null, // [{ t, last, label }]
+        resolve,
+        reject
+      };
+      if (hooks.onStarted) hooks.onStarted(captureSession);
+      spawnCaptureSegment(captureSession);
+    });
+  }
+
+  // 录制一个分段；定长录制只录剩余时长
+  function spawnCaptureSegment(session) {
+    const { options } = session;
+    const segmentFile = session.tempFile.replace(/\.mp4$/, `-part${session.segments.length + 1}.mp4`);
+    session.segments.push(segmentFile);
+
+    const recordArgs = [...session.inputArgs];
+    if (!recordingUntilStopped) {
+      const remaining = Math.max(options.duration - session.recordedBefore, 0.1);
+      recordArgs.push('-t', remaining.toString());
+    }
+    recordArgs.push(...session.filterArgs);
+    recordArgs.push('-c:v', 'libx264');
+    recordArgs.push('-preset', 'ultrafast');
+    recordArgs.push('-pix_fmt', 'yuv420p');
+    // 保留母版时无损编码（crf 0），之后可以从母版重新导出而不损失画质
+    recordArgs.push('-crf', options.keepMaster ? '0' : '18');
+    recordArgs.push('-y', segmentFile);
+
+    console.log(`${session.logLabel}:`, ffmpegPath, recordArgs.join(' '));
+
+    const proc = spawn(ffmpegPath, recordArgs);
+    recordingProcess = proc;
+    session.segmentStartedAt = null;
+    let segmentSeconds = 0;
+
+    proc.stderr.on('data', (data) => {
+      const chunk = Buffer.isBuffer(data) ? decode(data) : String(data);
+      console.log('FFmpeg stderr:', chunk);
+
+      const elapsed = parseFFmpegTime(chunk);
+      if (elapsed === null) return;
+      if (!session.segmentStartedAt) session.segmentStartedAt = Date.now() - elapsed * 1000;
+      segmentSeconds = elapsed;
+      recordedSeconds = session.recordedBefore + elapsed;
+
+      // 不定长录制无法计算百分比，只上报已录制时长
+      if (recordingUntilStopped) {
+        notify('recording-elapsed', recordedSeconds);
+        return;
+      }
+
+      // 转换在导出队列中单独显示进度，录制进度占满整个进度条
+      const percent = Math.min(Math.round((recordedSeconds / options.duration) * 100), 100);
+      console.log(`录制进度: ${percent}% (${recordedSeconds.toFixed(1)}s / ${options.duration}s)`);
+      notify('recording-progress', percent);
+    });
+
+    proc.on('close', (code) => {
+      if (recordingProcess === proc) recordingProcess = null;
+      session.recordedBefore += segmentSeconds;
+      if (session.cancelled) return;
+
+      // 主动暂停/停止时 FFmpeg 可能以非 0 退出（如 SIGINT），此时分段文件仍然可用
+      const requested = session.pausing || session.stopRequested;
+      if (code !== 0 && !requested) {
+        fail(session, `录制失败，FFmpeg 退出码: ${code}`);
+        return;
+      }
+
+      const reachedLimit = !recordingUntilStopped && session.recordedBefore >= options.duration - 0.05;
+      if (session.pausing && !session.stopRequested && !reachedLimit) {
+        session.pausing = false;
+        session.paused = true;
+        console.log(`录制已暂停，已录制 ${session.recordedBefore.toFixed(1)}s`);
+        notify('recording-paused', { seconds: session.recordedBefore });
+        updateTray();
+        return;
+      }
+
+      session.pausing = false;
+      finish(session);
+    });
+
+    proc.on('error', (err) => {
+      fail(session, err.message);
+    });
+  }
+
+  // 让 FFmpeg 正常收尾：发送 q，stdin 不可写时退回 SIGINT，FFmpeg 同样会写完文件尾
+  function stopProcessGracefully() {
+    try {
+      recordingProcess.stdin.write('q');
+    } catch (e) {
+      console.error('向 FFmpeg 发送 q 失败，改用 SIGINT:', e && e.message ? e.message : e);
+      try { recordingProcess.kill('SIGINT'); } catch (_) {}
+    }
+  }
+
+  // 抓屏结束：立即释放录制状态（之后的拼接、剪辑和转换期间可以开始新的录制），再交给导出流程
+  function finish(session) {
+    if (captureSession === session) captureSession = null;
+    unregisterStopShortcut();
+    // 不定长录制按实际录到的时长计算转换进度
+    const duration = recordingUntilStopped ? Math.max(session.recordedBefore, 1) : session.options.duration;
+    recordingUntilStopped = false;
+    session.captured = true;
+    setRecording(false);
+    if (currentTempFile === session.tempFile) currentTempFile = null;
+    updateTray();
+    notify('recording-captured', { outputFile: session.outputFile });
+    hooks.onCaptured(session, duration);
+  }
+
+  function fail(session, message) {
+    if (captureSession === session) captureSession = null;
+    // 抓屏结束后（拼接、剪辑阶段）录制状态已经释放，可能已经开始了新的录制，不再改动
+    if (!session.captured) {
+      unregisterStopShortcut();
+      recordingUntilStopped = false;
+      setRecording(false);
+      updateTray();
+    }
+    cleanupCaptureSegments(session);
+    try {
+      if (session.tempFile && fs.existsSync(session.tempFile)) {
+        fs.unlinkSync(session.tempFile);
+      }
+    } catch (_) {}
+    if (currentTempFile === session.tempFile) currentTempFile = null;
+    notify('recording-error', message);
+    session.reject({ success: false, message });
+  }
+
+  // 停止当前录制：不定长录制让 FFmpeg 正常收尾并继续转换；定长录制沿用原逻辑直接终止并丢弃
+  function stop() {
+    const session = captureSession;
+    if (!session) {
+      return { success: false, message: '没有正在进行的录制' };
+    }
+
+    if (recordingUntilStopped) {
+      console.log('结束不定长录制，等待 FFmpeg 写完文件...');
+      unregisterStopShortcut();
+      session.stopRequested = true;
+      if (session.paused) {
+        // 暂停中没有运行的 FFmpeg，直接拼接已有分段
+        session.paused = false;
+        finish(session);
+      } else if (recordingProcess && !session.pausing) {
+        stopProcessGracefully();
+      }
+      return { success: true, finishing: true };
+    }
+
+    session.cancelled = true;
+    captureSession = null;
+    try {
+      if (recordingProcess) recordingProcess.kill('SIGTERM');
+    } catch (_) {}
+    setRecording(false);
+    updateTray();
+    cleanupCaptureSegments(session);
+    try {
+      if (currentTempFile && fs.existsSync(currentTempFile)) {
+        fs.unlinkSync(currentTempFile);
+      }
+    } catch (_) {}
+    currentTempFile = null;
+    session.resolve({ success: false, cancelled: true, message: '录制已停止' });
+    return { success: true };
+  }
+
+  function pause() {
+    const session = captureSession;
+    if (!session || session.paused || session.pausing || !recordingProcess) {
+      return { success: false, message: '当前没有可暂停的录制' };
+    }
+    session.pausing = true;
+    stopProcessGracefully();
+    return { success: true };
+  }
+
+  function resume() {
+    const session = captureSession;
+    if (!session || !session.paused) {
+      return { success: false, message: '录制未暂停' };
+    }
+    session.paused = false;
+    spawnCaptureSegment(session);
+    console.log('录制已继续，开始新分段:', session.segments.length);
+    notify('recording-resumed', { seconds: session.recordedBefore });
+    updateTray();
+    return { success: true };
+  }
+
+  function togglePause() {
+    if (captureSession && captureSession.paused) return resume();
+    return pause();
+  }
+
+  // 当前会话在成品中的时间点（秒），暂停中或分段尚未出帧时返回 null
+  function captureTime(session) {
+    if (session.paused || session.pausing || !session.segmentStartedAt || !recordingProcess) return null;
+    return session.recordedBefore + (Date.now() - session.segmentStartedAt) / 1000;
+  }
+
+  // 退出应用时结束抓屏并删除临时文件和分段
+  function abort() {
+    try {
+      if (recordingProcess) recordingProcess.kill('SIGTERM');
+    } catch (e) {
+      console.error('清理录制进程失败:', e && e.message ? e.message : e);
+    }
+    try {
+      if (currentTempFile && fs.existsSync(currentTempFile)) {
+        fs.unlinkSync(currentTempFile);
+      }
+    } catch (_) {}
+    currentTempFile = null;
+    cleanupCaptureSegments(captureSession);
+  }
+
+  return {
+    start,
+    stop,
+    pause,
+    resume,
+    togglePause,
+    fail,
+    abort,
+    captureTime,
+    current: () => captureSession,
+    // 控制接口和托盘使用的状态
+    status: () => ({
+      paused: !!(captureSession && captureSession.paused),
+      untilStopped: recordingUntilStopped,
+      recordedSeconds
+    }),
+    joinSegments: (segments, outputFile) => joinCaptureSegments(ffmpegPath, segments, outputFile)
+  };
+}
+
+module.exports = {
+  createRecorder,
+  buildCaptureInput,
+  parseFFmpegTime
+};